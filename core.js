@@ -0,0 +1,1510 @@
+// Simple Excel Card App: core.js
+// Data functions shared by the page (script.js) and the search worker
+// (worker.js): cell values, the query language, the search index, facets,
+// sorting, file parsing and the search pipeline. Nothing in here touches the DOM.
+
+// --- Cell Value Helpers ---
+const EXCEL_EPOCH_OFFSET = 25569; // Days between 1899-12-30 (Excel day 0) and 1970-01-01
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXCEL_SERIAL = 2958465; // 9999-12-31
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const DATE_PATTERN = /^(\d{4}[-/]\d{1,2}([-/]\d{1,2})?([ T]\d{1,2}:\d{2}(:\d{2})?)?|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})$/;
+const DAY_FIRST_PATTERN = /^(\d{1,2})([-/.])(\d{1,2})\2(\d{2}|\d{4})$/; // 31.12.2024, 12/31/24 ...
+
+// Helper: Is a cell empty
+function isBlank(value) {
+    return value === '' || value === null || value === undefined;
+}
+
+// Helper: Cell value as lowercase text ('' for empty cells, but keeps 0)
+function cellText(value) {
+    return value === undefined || value === null ? '' : String(value).toLowerCase();
+}
+
+// Helper: Cell value as a number, accepting numeric text with thousands
+// separators; null when the cell is not numeric
+function toNumber(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+    const text = value.trim().replace(/,/g, '');
+    return NUMBER_PATTERN.test(text) ? parseFloat(text) : null;
+}
+
+// Helper: Does a text look like a date (2024-01-31, 2024/1/31, 31.01.2024 ...)
+function isDateString(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value.trim());
+}
+
+// Helper: Excel date serial (days since 1899-12-30) to a UTC timestamp
+function excelSerialToTime(serial) {
+    return Math.round((serial - EXCEL_EPOCH_OFFSET) * DAY_MS);
+}
+
+// Helper: UTC timestamp of a short date: d.m.y with dots, else m/d/y
+// unless the first part can only be a day (31/12/2024). Two-digit years are
+// 2000-2049 or 1950-1999. Null for dates that don't exist.
+function parseShortDate(text) {
+    const match = DAY_FIRST_PATTERN.exec(text);
+    if (!match) return null;
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[3], 10);
+    const dayFirst = match[2] === '.' || first > 12;
+    const day = dayFirst ? first : second;
+    const month = dayFirst ? second : first;
+    let year = parseInt(match[4], 10);
+    if (match[4].length === 2) year += year < 50 ? 2000 : 1900;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setUTCFullYear(year); // Date.UTC maps years 0-99 to 1900-1999
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date.getTime() : null;
+}
+
+// Helper: Cell value as a timestamp; numbers are read as Excel date serials.
+// Returns null when the cell cannot be a date.
+function toTimestamp(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') {
+        return value > 0 && value <= MAX_EXCEL_SERIAL ? excelSerialToTime(value) : null;
+    }
+    if (isDateString(value)) {
+        const text = value.trim();
+        if (DAY_FIRST_PATTERN.test(text)) return parseShortDate(text);
+        const time = Date.parse(text);
+        return isNaN(time) ? null : time;
+    }
+    return null;
+}
+
+// Helper: Calendar date of a cell as { year, month, day }, or null. Serials,
+// ISO dates and short dates are UTC midnight; other date texts are local.
+function dateParts(value) {
+    const time = toTimestamp(value);
+    if (time === null) return null;
+    const date = new Date(time);
+    const text = String(value).trim();
+    const utc = typeof value === 'number' || /^\d{4}-\d{2}-\d{2}$/.test(text) || DAY_FIRST_PATTERN.test(text);
+    return {
+        year: utc ? date.getUTCFullYear() : date.getFullYear(),
+        month: (utc ? date.getUTCMonth() : date.getMonth()) + 1,
+        day: utc ? date.getUTCDate() : date.getDate()
+    };
+}
+
+// --- Query Language ---
+// Supports plain words, "quoted phrases", field:value (contains),
+// field=value and field!=value (exact), field>n, >=, <, <= (numbers or
+// dates), NOT / -term, AND (also implied between terms), OR and parentheses.
+// Field names with spaces can be quoted: "First Name":ann; a quote inside
+// quotes is written twice ("12"" pipe"). Numbers before
+// an operator and URLs are searched as they are (10:30, http://...).
+const QUERY_OPERATORS = ['>=', '<=', '!=', ':', '=', '>', '<'];
+
+// Helper: Split a query into tokens
+function tokenizeQuery(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch });
+            i++;
+            continue;
+        }
+        if (ch === '"') {
+            let value = '';
+            i++;
+            for (;;) {
+                const end = text.indexOf('"', i);
+                if (end === -1) throw new Error('Missing closing quote.');
+                value += text.slice(i, end);
+                i = end + 1;
+                if (text[i] !== '"') break;
+                value += '"';
+                i++;
+            }
+            tokens.push({ type: 'text', value });
+            continue;
+        }
+        const op = QUERY_OPERATORS.find(o => text.startsWith(o, i));
+        if (op) {
+            tokens.push({ type: 'op', value: op });
+            i += op.length;
+            continue;
+        }
+        const prev = tokens[tokens.length - 1];
+        if (ch === '-' && (!prev || prev.type !== 'op')) {
+            tokens.push({ type: 'not' });
+            i++;
+            continue;
+        }
+        let end = i;
+        while (end < text.length && !/[\s()"]/.test(text[end]) &&
+               !QUERY_OPERATORS.some(o => text.startsWith(o, end))) {
+            end++;
+        }
+        const word = text.slice(i, end);
+        if (word === 'AND' || word === 'OR' || word === 'NOT') {
+            tokens.push({ type: word.toLowerCase() });
+        } else {
+            tokens.push({ type: 'text', value: word });
+        }
+        i = end;
+    }
+    return tokens;
+}
+
+// Helper: How a token is shown in error messages
+function describeToken(token) {
+    if (token.type === 'text' || token.type === 'op') return token.value;
+    return token.type === 'not' ? 'NOT' : token.type.toUpperCase();
+}
+
+// Helper: Column with a name, ignoring case; undefined when there is none
+function findColumn(columns, name) {
+    return columns.find(column => column.toLowerCase() === name.toLowerCase());
+}
+
+// Helper: Is text before an operator part of a plain term rather than a
+// field name: a number (10:30, 1>2) or a URL scheme (http://x.com)
+function isLiteralPrefix(token, op, next) {
+    if (/^\d/.test(token.value)) return true;
+    return op.value === ':' && !!next && next.type === 'text' && next.value.startsWith('//');
+}
+
+// Helper: Build a field comparison node for a known column, resolving the
+// field name case-insensitively
+function createComparison(fieldName, op, raw, columns) {
+    const field = findColumn(columns, fieldName);
+    const node = { type: 'compare', field, op, value: raw.toLowerCase() };
+    const ordered = op !== ':' && op !== '=' && op !== '!=';
+    const number = toNumber(raw);
+    if (number !== null) {
+        node.number = number;
+    } else if (ordered && isDateString(raw)) {
+        node.date = toTimestamp(raw);
+        if (node.date === null) throw new Error(`Can't read date "${raw}".`);
+    } else if (ordered && raw === '') {
+        throw new Error(`Missing value after ${fieldName}${op}`);
+    }
+    return node;
+}
+
+// Utility: Parse a query into a tree; returns null for an empty query and
+// throws an Error describing the first syntax problem
+function parseQuery(text, columns) {
+    const tokens = tokenizeQuery(text);
+    if (!tokens.length) return null;
+    let pos = 0;
+    const peek = () => tokens[pos];
+
+    function parseOr() {
+        let node = parseAnd();
+        while (peek() && peek().type === 'or') {
+            pos++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+    function parseAnd() {
+        let node = parseNot();
+        while (peek() && peek().type !== 'or' && peek().type !== ')') {
+            if (peek().type === 'and') pos++;
+            node = { type: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    }
+    function parseNot() {
+        if (peek() && peek().type === 'not') {
+            pos++;
+            return { type: 'not', expr: parseNot() };
+        }
+        return parsePrimary();
+    }
+    function parsePrimary() {
+        const token = tokens[pos++];
+        if (!token) throw new Error('Query ends unexpectedly.');
+        if (token.type === '(') {
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') throw new Error('Missing closing parenthesis.');
+            pos++;
+            return node;
+        }
+        if (token.type !== 'text') throw new Error(`Unexpected "${describeToken(token)}".`);
+        if (peek() && peek().type === 'op' && !findColumn(columns, token.value)) {
+            if (!isLiteralPrefix(token, peek(), tokens[pos + 1])) {
+                throw new Error(`Unknown field "${token.value}".`);
+            }
+            let text = token.value;
+            while (peek() && peek().type === 'op') {
+                text += tokens[pos++].value;
+                if (peek() && peek().type === 'text') text += tokens[pos++].value;
+            }
+            return { type: 'term', value: text.toLowerCase() };
+        }
+        if (peek() && peek().type === 'op') {
+            const op = tokens[pos++].value;
+            const valueToken = tokens[pos++];
+            if (!valueToken || valueToken.type !== 'text') {
+                throw new Error(`Missing value after ${token.value}${op}`);
+            }
+            return createComparison(token.value, op, valueToken.value, columns);
+        }
+        return { type: 'term', value: token.value.toLowerCase() };
+    }
+
+    const tree = parseOr();
+    if (pos < tokens.length) throw new Error(`Unexpected "${describeToken(tokens[pos])}".`);
+    return tree;
+}
+
+// Helper: Test one cell against a comparison node
+function compareCell(value, node) {
+    const text = cellText(value);
+    if (node.op === ':') return text.includes(node.value);
+    if (node.op === '=' || node.op === '!=') {
+        const cellNumber = toNumber(value);
+        const equal = text === node.value ||
+            (node.number !== undefined && cellNumber !== null && cellNumber === node.number);
+        return node.op === '=' ? equal : !equal;
+    }
+    let a = text;
+    let b = node.value;
+    if (node.number !== undefined) {
+        a = toNumber(value);
+        b = node.number;
+    } else if (node.date !== undefined) {
+        a = toTimestamp(value);
+        b = node.date;
+    }
+    if (a === null || a === '') return false;
+    switch (node.op) {
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return false;
+    }
+}
+
+// Utility: Does a row match a parsed query. With a match context (see
+// prepareIndexedQuery) word terms are looked up in the search index and
+// their scores are added to context.score.
+function evaluateQuery(node, row, defaultFields, context) {
+    switch (node.type) {
+        case 'and':
+            return evaluateQuery(node.left, row, defaultFields, context) &&
+                evaluateQuery(node.right, row, defaultFields, context);
+        case 'or':
+            return evaluateQuery(node.left, row, defaultFields, context) ||
+                evaluateQuery(node.right, row, defaultFields, context);
+        case 'not':
+            return !evaluateQuery(node.expr, row, defaultFields, context);
+        case 'term':
+            if (context && node.cells) return matchIndexedCells(node, defaultFields, context);
+            return defaultFields.some(field => cellText(row[field]).includes(node.value));
+        case 'compare':
+            if (context && node.cells) return matchIndexedCells(node, [node.field], context);
+            return compareCell(row[node.field], node);
+        default:
+            return false;
+    }
+}
+
+// --- Search Index ---
+// Cells are split into lowercase words without accents, and the index maps
+// every word to the cells holding it as flat [row, column, row, column, ...]
+// pairs. A query word matches an index word exactly, as a prefix, or with
+// one typo (two for long words; swapping neighbouring letters is one typo).
+const MATCH_SCORES = { exact: 3, prefix: 2, fuzzy: 1 };
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Helper: Cell value as lowercase text without accents
+function normalizeText(value) {
+    return cellText(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Helper: The index words of a cell value
+function tokenizeText(value) {
+    return normalizeText(value).match(WORD_PATTERN) || [];
+}
+
+// Utility: Build the inverted index of every column of the rows
+function buildSearchIndex(rows, columns) {
+    const terms = new Map();
+    rows.forEach((row, rowIndex) => {
+        columns.forEach((field, column) => {
+            new Set(tokenizeText(row[field])).forEach(word => {
+                let postings = terms.get(word);
+                if (!postings) {
+                    postings = [];
+                    terms.set(word, postings);
+                }
+                postings.push(rowIndex, column);
+            });
+        });
+    });
+    return { columns: columns.slice(), rowCount: rows.length, terms };
+}
+
+// Helper: Does a stored index still describe the rows and columns
+function isSearchIndexFor(index, rows, columns) {
+    return !!index && index.rowCount === rows.length &&
+        index.columns.length === columns.length &&
+        index.columns.every((column, i) => column === columns[i]);
+}
+
+// Helper: Are two words at most `max` edits apart (optimal string alignment)
+function withinEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return false;
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            let distance = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, before[j - 2] + 1);
+            }
+            current[j] = distance;
+            rowMin = Math.min(rowMin, distance);
+        }
+        if (rowMin > max) return false;
+        before = previous;
+        previous = current;
+    }
+    return previous[b.length] <= max;
+}
+
+// Helper: How well an index word matches a query word (0 = not at all)
+function scoreWord(query, word) {
+    if (word === query) return MATCH_SCORES.exact;
+    if (word.startsWith(query)) return MATCH_SCORES.prefix;
+    const typos = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+    return typos && withinEditDistance(query, word, typos) ? MATCH_SCORES.fuzzy : 0;
+}
+
+// Helper: Index words matching a query word, as word -> score; cached on
+// the search state because typing repeats the same words
+function findIndexWords(state, query) {
+    if (!state.wordMatches.has(query)) {
+        const matches = new Map();
+        state.index.terms.forEach((postings, word) => {
+            const score = scoreWord(query, word);
+            if (score) matches.set(word, score);
+        });
+        state.wordMatches.set(query, matches);
+    }
+    return state.wordMatches.get(query);
+}
+
+// Helper: Cells holding every word of a search text, as
+// row * columnCount + column -> score. Null when the text has no words.
+function findIndexedCells(state, text, highlights) {
+    const queryWords = tokenizeText(text);
+    if (!queryWords.length) return null;
+    const width = state.index.columns.length;
+    let cells = null;
+    queryWords.forEach(query => {
+        const next = new Map();
+        findIndexWords(state, query).forEach((score, word) => {
+            if (highlights) highlights.add(word);
+            const postings = state.index.terms.get(word);
+            for (let i = 0; i < postings.length; i += 2) {
+                const key = postings[i] * width + postings[i + 1];
+                if (cells && !cells.has(key)) continue;
+                const total = (cells ? cells.get(key) : 0) + score;
+                if (!(next.get(key) >= total)) next.set(key, total);
+            }
+        });
+        cells = next;
+    });
+    return cells;
+}
+
+// Utility: Look up the word terms and field:value comparisons of a query in
+// the index (storing the matching cells on the nodes) and collect the index
+// words to highlight. Negated terms are looked up but not highlighted.
+function prepareIndexedQuery(state, node, highlights) {
+    switch (node.type) {
+        case 'and':
+        case 'or':
+            prepareIndexedQuery(state, node.left, highlights);
+            prepareIndexedQuery(state, node.right, highlights);
+            break;
+        case 'not':
+            prepareIndexedQuery(state, node.expr, null);
+            break;
+        case 'term':
+            node.cells = findIndexedCells(state, node.value, highlights);
+            break;
+        case 'compare':
+            if (node.op === ':' && state.index.columns.includes(node.field)) {
+                node.cells = findIndexedCells(state, node.value, highlights);
+            }
+            break;
+    }
+}
+
+// Helper: Does a prepared query use the index anywhere
+function hasIndexedTerms(node) {
+    if (!node) return false;
+    return !!node.cells || hasIndexedTerms(node.left) || hasIndexedTerms(node.right) || hasIndexedTerms(node.expr);
+}
+
+// Helper: Test an indexed node against the cells of a row, adding the best
+// score to the context
+function matchIndexedCells(node, fields, context) {
+    let best = 0;
+    fields.forEach(field => {
+        const column = context.columns.get(field);
+        if (column === undefined) return;
+        const score = node.cells.get(context.row * context.width + column);
+        if (score > best) best = score;
+    });
+    context.score += best;
+    return best > 0;
+}
+
+// --- Column Types and Facets ---
+const FACET_MAX_VALUES = 12; // Columns with at most this many distinct values get checkboxes
+const BLANK_FACET_VALUE = '(blank)';
+
+// Helper: Infer a column's type from its non-empty cells:
+// 'number', 'date', 'text' or 'empty'
+function inferColumnType(rows, field) {
+    let filled = 0;
+    let numbers = 0;
+    let dates = 0;
+    rows.forEach(row => {
+        const value = row[field];
+        if (value === '' || value === null || value === undefined) return;
+        filled++;
+        if (toNumber(value) !== null) {
+            numbers++;
+        } else if (toTimestamp(value) !== null) {
+            dates++;
+        }
+    });
+    if (!filled) return 'empty';
+    if (numbers === filled) return 'number';
+    if (dates === filled) return 'date';
+    return 'text';
+}
+
+// Helper: Cell value as shown and matched in checkbox facets
+function facetValue(value) {
+    return value === '' || value === null || value === undefined ? BLANK_FACET_VALUE : String(value);
+}
+
+// Helper: Sort facet values numerically when possible, blanks last
+function compareFacetValues(a, b) {
+    if (a === BLANK_FACET_VALUE) return 1;
+    if (b === BLANK_FACET_VALUE) return -1;
+    const na = toNumber(a);
+    const nb = toNumber(b);
+    if (na !== null && nb !== null) return na - nb;
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Utility: Decide which facet each field gets: checkboxes for low-cardinality
+// columns, min/max ranges for other numeric and date columns.
+// dateFields lists columns holding Excel date serials.
+function buildFacetDefinitions(rows, fields, dateFields = []) {
+    return fields.map(field => {
+        const distinct = new Set();
+        for (const row of rows) {
+            distinct.add(facetValue(row[field]));
+            if (distinct.size > FACET_MAX_VALUES) break;
+        }
+        if (distinct.size > 1 && distinct.size <= FACET_MAX_VALUES) {
+            return { field, kind: 'values', values: Array.from(distinct).sort(compareFacetValues) };
+        }
+        let type = inferColumnType(rows, field);
+        if (type === 'number' && dateFields.includes(field)) type = 'date';
+        if (distinct.size > 1 && (type === 'number' || type === 'date')) {
+            return { field, kind: 'range', type };
+        }
+        return null;
+    }).filter(Boolean);
+}
+
+// Helper: Numeric bound of a range filter input ('' means open-ended)
+function rangeBound(type, text) {
+    if (text === '' || text === undefined) return null;
+    return type === 'date' ? toTimestamp(text) : toNumber(text);
+}
+
+// Helper: Does a row pass every active facet, optionally ignoring one field
+// (used to count the options of that field's own facet)
+function rowPassesFacets(row, defs, filters, exceptField) {
+    return defs.every(def => {
+        const filter = filters[def.field];
+        if (!filter || def.field === exceptField) return true;
+        if (filter.values) return filter.values.includes(facetValue(row[def.field]));
+        const value = filter.type === 'date' ? toTimestamp(row[def.field]) : toNumber(row[def.field]);
+        const min = rangeBound(filter.type, filter.min);
+        const max = rangeBound(filter.type, filter.max);
+        if (value === null) return false;
+        return (min === null || value >= min) && (max === null || value <= max);
+    });
+}
+
+// Utility: Option counts of every checkbox facet, over the matched rows
+// that pass all the other facets
+function countFacetValues(rows, indices, defs, filters) {
+    const counts = {};
+    defs.forEach(def => {
+        if (def.kind !== 'values') return;
+        const fieldCounts = {};
+        indices.forEach(index => {
+            const row = rows[index];
+            if (!rowPassesFacets(row, defs, filters, def.field)) return;
+            const value = facetValue(row[def.field]);
+            fieldCounts[value] = (fieldCounts[value] || 0) + 1;
+        });
+        counts[def.field] = fieldCounts;
+    });
+    return counts;
+}
+
+// --- Sorting ---
+// Helper: Compare two non-empty cells by the column's type
+function compareTyped(a, b, type) {
+    if (type === 'number') {
+        const na = toNumber(a);
+        const nb = toNumber(b);
+        if (na !== null && nb !== null) return na - nb;
+    } else if (type === 'date') {
+        const ta = toTimestamp(a);
+        const tb = toTimestamp(b);
+        if (ta !== null && tb !== null) return ta - tb;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Utility: Sort row indices by the group-by field (if any) and then the sort
+// keys. Returns a new array; blank cells always sort last.
+function sortIndices(rows, indices, sort, getType) {
+    let keys = sort.keys.filter(key => key.field);
+    if (sort.groupBy) {
+        const groupKey = keys.find(key => key.field === sort.groupBy);
+        keys = [{ field: sort.groupBy, dir: groupKey ? groupKey.dir : 'asc' }].concat(keys);
+    }
+    if (!keys.length) return indices;
+    const types = {};
+    keys.forEach(key => {
+        types[key.field] = getType(key.field);
+    });
+    return indices.slice().sort((ia, ib) => {
+        const a = rows[ia];
+        const b = rows[ib];
+        for (const key of keys) {
+            const va = a[key.field];
+            const vb = b[key.field];
+            if (isBlank(va) || isBlank(vb)) {
+                if (isBlank(va) !== isBlank(vb)) return isBlank(va) ? 1 : -1;
+                continue;
+            }
+            const result = compareTyped(va, vb, types[key.field]);
+            if (result) return key.dir === 'desc' ? -result : result;
+        }
+        return 0;
+    });
+}
+
+// --- File Parsing ---
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+// Helper: Column names of a sheet, in header order
+function getColumns(rows) {
+    return rows.length ? Object.keys(rows[0]) : [];
+}
+
+// Helper: Guess the delimiter from the first non-empty line, ignoring quoted text
+function detectDelimiter(text) {
+    const firstLine = (text.split(/\r?\n/).find(line => line.trim()) || '').replace(/"[^"]*"/g, '');
+    let best = ',';
+    let bestCount = 0;
+    DELIMITER_CANDIDATES.forEach(delimiter => {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+// Helper: Header names of the columns whose numeric cells all have a date
+// number format, i.e. Excel date serials (needs the cellNF read option)
+function findDateColumns(worksheet) {
+    if (!worksheet['!ref']) return [];
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const dateColumns = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+        const header = worksheet[XLSX.utils.encode_cell({ r: range.s.r, c })];
+        if (!header) continue;
+        let numbers = 0;
+        let dates = 0;
+        for (let r = range.s.r + 1; r <= range.e.r; r++) {
+            const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+            if (!cell || cell.t !== 'n') continue;
+            numbers++;
+            if (cell.z && XLSX.SSF.is_date(cell.z)) dates++;
+        }
+        if (numbers && dates === numbers) dateColumns.push(String(header.w || header.v));
+    }
+    return dateColumns;
+}
+
+// Helper: Convert a SheetJS workbook to { sheetNames, sheets, columns, dateColumns }
+function workbookToSheets(workbook, onProgress) {
+    const sheets = {};
+    const columns = {};
+    const dateColumns = {};
+    workbook.SheetNames.forEach((name, index) => {
+        onProgress(`Reading sheet ${index + 1} of ${workbook.SheetNames.length}…`);
+        const worksheet = workbook.Sheets[name];
+        const rows = XLSX.utils.sheet_to_json(worksheet, {defval: ''});
+        sheets[name] = rows;
+        // A sheet with only a header row still keeps its columns
+        columns[name] = rows.length
+            ? getColumns(rows)
+            : (XLSX.utils.sheet_to_json(worksheet, {header: 1})[0] || []).map(String);
+        dateColumns[name] = findDateColumns(worksheet);
+    });
+    return { sheetNames: workbook.SheetNames.slice(), sheets, columns, dateColumns };
+}
+
+// Helper: Turn a JSON array of records into rows that all share the same
+// columns (in first-seen order); nested values are kept as JSON text
+function recordsToRows(records) {
+    if (!Array.isArray(records) || !records.every(r => r && typeof r === 'object' && !Array.isArray(r))) {
+        throw new Error('JSON must be an array of objects.');
+    }
+    const columns = [];
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+    return records.map(record => {
+        const row = {};
+        columns.forEach(column => {
+            const value = record[column];
+            if (value === null || value === undefined) {
+                row[column] = '';
+            } else {
+                row[column] = typeof value === 'object' ? JSON.stringify(value) : value;
+            }
+        });
+        return row;
+    });
+}
+
+// Utility: Parse file content into { sheetNames, sheets, columns, dateColumns }.
+// `content` is an ArrayBuffer for workbooks and text for CSV/TSV/JSON.
+// Text values are kept as written so IDs with leading zeros survive.
+function parseFileContent(content, options, onProgress = () => {}) {
+    switch (options.format) {
+        case 'workbook':
+            onProgress('Parsing workbook…');
+            return workbookToSheets(XLSX.read(new Uint8Array(content), {type: 'array', cellNF: true}), onProgress);
+        case 'text': {
+            let delimiter = options.delimiter;
+            if (delimiter === 'auto') {
+                delimiter = options.fileName.toLowerCase().endsWith('.tsv') ? '\t' : detectDelimiter(content);
+            }
+            onProgress('Parsing text…');
+            return workbookToSheets(XLSX.read(content, {type: 'string', FS: delimiter, raw: true}), onProgress);
+        }
+        case 'json': {
+            onProgress('Parsing JSON…');
+            const rows = recordsToRows(JSON.parse(content));
+            return {
+                sheetNames: ['Sheet1'],
+                sheets: { Sheet1: rows },
+                columns: { Sheet1: getColumns(rows) },
+                dateColumns: {}
+            };
+        }
+        default:
+            throw new Error('Unsupported file type.');
+    }
+}
+
+// --- Search Pipeline ---
+const SEARCH_SLICE = 2000; // rows checked between pauses
+
+// Helper: Everything the search pipeline keeps about the loaded rows;
+// column types, facet definitions and the index are filled in lazily
+function createSearchState(rows, columns, version) {
+    return {
+        rows,
+        columns,
+        version,
+        types: {},
+        facetKey: null,
+        facetDefs: [],
+        index: null,
+        wordMatches: new Map()
+    };
+}
+
+function getColumnType(state, field) {
+    if (!state.types[field]) state.types[field] = inferColumnType(state.rows, field);
+    return state.types[field];
+}
+
+// Helper: The search index of the rows, built on first use unless a stored
+// copy was handed over with setSearchIndex
+function getSearchIndex(state) {
+    if (!state.index) state.index = buildSearchIndex(state.rows, state.columns);
+    return state.index;
+}
+
+// Helper: Use a stored index if it still matches the rows
+function setSearchIndex(state, index) {
+    if (state.index || !isSearchIndexFor(index, state.rows, state.columns)) return;
+    state.index = index;
+}
+
+// Helper: Facet definitions for the selected fields, rebuilt only when the
+// data, the fields or the date hints change. The key lets the page know
+// when to redraw.
+function getFacetDefinitions(state, fields, dateFields = []) {
+    const key = `${state.version}|${fields.join('\u0001')}|${dateFields.join('\u0001')}`;
+    if (state.facetKey !== key) {
+        state.facetKey = key;
+        state.facetDefs = buildFacetDefinitions(state.rows, fields, dateFields);
+    }
+    return state.facetDefs;
+}
+
+// Utility: The search pipeline (query, facet counts, facet filters, sort)
+// as a generator that yields its progress between slices of rows, so the
+// worker can pause and drop stale searches. Throws on invalid query syntax.
+// Word matches are ranked best first unless sort keys are set.
+// Returns { indices, facetKey, facetDefs, facetCounts, highlights }.
+function* runSearch(state, request) {
+    const rows = state.rows;
+    const query = parseQuery(request.query, state.columns.concat(request.fields));
+    const defaultFields = request.searchField !== 'all' && request.fields.includes(request.searchField)
+        ? [request.searchField]
+        : request.fields;
+
+    const highlights = new Set();
+    let context = null;
+    if (query) {
+        getSearchIndex(state);
+        prepareIndexedQuery(state, query, highlights);
+        if (hasIndexedTerms(query)) {
+            const columns = new Map(state.index.columns.map((field, column) => [field, column]));
+            context = { columns, width: state.index.columns.length, row: 0, score: 0 };
+        }
+    }
+
+    let matches = [];
+    const scores = [];
+    for (let i = 0; i < rows.length; i++) {
+        if (context) {
+            context.row = i;
+            context.score = 0;
+        }
+        if (!query || evaluateQuery(query, rows[i], defaultFields, context)) {
+            matches.push(i);
+            if (context) scores[i] = context.score;
+        }
+        if ((i + 1) % SEARCH_SLICE === 0) yield (i + 1) / rows.length;
+    }
+
+    const facetDefs = getFacetDefinitions(state, request.fields, request.dateFields);
+    const facetCounts = countFacetValues(rows, matches, facetDefs, request.filters);
+    if (facetDefs.some(def => request.filters[def.field])) {
+        matches = matches.filter(index => rowPassesFacets(rows[index], facetDefs, request.filters));
+    }
+    yield 1;
+
+    // Rank first; the (stable) sort then keeps the ranking within groups
+    if (context && !request.sort.keys.some(key => key.field)) {
+        matches.sort((a, b) => scores[b] - scores[a]);
+    }
+    const indices = sortIndices(rows, matches, request.sort, field => getColumnType(state, field));
+    return { indices, facetKey: state.facetKey, facetDefs, facetCounts, highlights: Array.from(highlights) };
+}
+
+// Utility: Run the pipeline without pausing (used when no worker is available)
+function runSearchNow(state, request) {
+    const steps = runSearch(state, request);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+}
+
+// Helper: The searched rows, or only those at the given indices
+function pickSearchRows(state, indices) {
+    return indices ? indices.map(index => state.rows[index]) : state.rows;
+}
+
+// Utility: Column statistics (see profileColumns) of the searched rows, all
+// of them or those at request.indices
+function profileSearchRows(state, request) {
+    return profileColumns(pickSearchRows(state, request.indices), request.fields, request.dateFields);
+}
+
+// Utility: Pivot (see buildPivot) of the searched rows, all of them or
+// those at request.indices. Row and column fields holding dates
+// (request.dateFields lists the Excel date serial columns) are grouped by
+// request.dateGroup. Returns { rowCount, dateGroups, pivot }.
+function pivotSearchRows(state, request) {
+    const rows = pickSearchRows(state, request.indices);
+    const options = Object.assign({}, request.options, { dateGroups: {} });
+    [options.rowField, options.columnField].forEach(field => {
+        if (field && (request.dateFields.includes(field) || inferColumnType(rows, field) === 'date')) {
+            options.dateGroups[field] = request.dateGroup;
+        }
+    });
+    return { rowCount: rows.length, dateGroups: options.dateGroups, pivot: buildPivot(rows, options) };
+}
+
+// --- Column Statistics ---
+const PROFILE_TOP_VALUES = 5; // most common values listed per column
+
+// Utility: Statistics per column of the given rows: inferred type, filled
+// cells, distinct values and the most common values, plus min/max/mean/sum
+// for number columns and the first and last date for date columns.
+// dateFields lists columns holding Excel date serials.
+function profileColumns(rows, fields, dateFields = []) {
+    return fields.map(field => {
+        const counts = new Map();
+        let filled = 0;
+        rows.forEach(row => {
+            if (isBlank(row[field])) return;
+            filled++;
+            const value = String(row[field]);
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        let type = inferColumnType(rows, field);
+        if (type === 'number' && dateFields.includes(field)) type = 'date';
+        const top = Array.from(counts, ([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || compareFacetValues(a.value, b.value))
+            .slice(0, PROFILE_TOP_VALUES);
+        const profile = { field, type, rows: rows.length, filled, distinct: counts.size, top };
+        if (type === 'number') {
+            let sum = 0;
+            let min = Infinity;
+            let max = -Infinity;
+            rows.forEach(row => {
+                const number = toNumber(row[field]);
+                if (number === null) return;
+                sum += number;
+                min = Math.min(min, number);
+                max = Math.max(max, number);
+            });
+            profile.numbers = { min, max, sum, mean: sum / filled };
+        } else if (type === 'date') {
+            const dates = { first: null, last: null, firstTime: Infinity, lastTime: -Infinity };
+            rows.forEach(row => {
+                const time = toTimestamp(row[field]);
+                if (time === null) return;
+                if (time < dates.firstTime) {
+                    dates.firstTime = time;
+                    dates.first = row[field];
+                }
+                if (time > dates.lastTime) {
+                    dates.lastTime = time;
+                    dates.last = row[field];
+                }
+            });
+            dates.days = Math.round((dates.lastTime - dates.firstTime) / DAY_MS);
+            profile.dates = dates;
+        }
+        return profile;
+    });
+}
+
+// --- Pivot Tables ---
+// Rows are grouped by the values of a row field and optionally a column
+// field (dates grouped by day, month, quarter or year) and each group is
+// summarised by a count, a sum or an average of a value field.
+
+// Helper: Group key of a cell; blank cells share BLANK_FACET_VALUE
+function pivotKey(value, dateGroup) {
+    if (isBlank(value)) return BLANK_FACET_VALUE;
+    const parts = dateGroup ? dateParts(value) : null;
+    if (!parts) return String(value);
+    const { year, month, day } = parts;
+    const pad = number => String(number).padStart(2, '0');
+    switch (dateGroup) {
+        case 'year': return String(year);
+        case 'quarter': return `${year}-Q${Math.ceil(month / 3)}`;
+        case 'month': return `${year}-${pad(month)}`;
+        default: return `${year}-${pad(month)}-${pad(day)}`;
+    }
+}
+
+function addToPivotCell(cell, number) {
+    cell.rows++;
+    if (number !== null) {
+        cell.sum += number;
+        cell.numbers++;
+    }
+}
+
+// Helper: Final value of a pivot cell; null for empty groups
+function pivotCellValue(cell, aggregate) {
+    if (!cell || !cell.rows) return null;
+    if (aggregate === 'count') return cell.rows;
+    if (aggregate === 'sum') return cell.sum;
+    return cell.numbers ? cell.sum / cell.numbers : null;
+}
+
+// Utility: Pivot table of the rows. options: { rowField, columnField ('' for
+// none), valueField, aggregate ('count', 'sum' or 'average'), dateGroups
+// ({ field: 'day' | 'month' | 'quarter' | 'year' }) }.
+// Returns { rowKeys, columnKeys, values[row][column], rowTotals,
+// columnTotals, total }.
+function buildPivot(rows, options) {
+    const newCell = () => ({ rows: 0, sum: 0, numbers: 0 });
+    const groups = options.dateGroups || {};
+    const cells = new Map();
+    const rowCells = new Map();
+    const columnCells = new Map();
+    const totalCell = newCell();
+    rows.forEach(row => {
+        const rowKey = pivotKey(row[options.rowField], groups[options.rowField]);
+        const columnKey = options.columnField ? pivotKey(row[options.columnField], groups[options.columnField]) : '';
+        const number = options.aggregate === 'count' ? null : toNumber(row[options.valueField]);
+        const cellKey = `${rowKey}\u0001${columnKey}`;
+        if (!cells.has(cellKey)) cells.set(cellKey, newCell());
+        if (!rowCells.has(rowKey)) rowCells.set(rowKey, newCell());
+        if (!columnCells.has(columnKey)) columnCells.set(columnKey, newCell());
+        [cells.get(cellKey), rowCells.get(rowKey), columnCells.get(columnKey), totalCell]
+            .forEach(cell => addToPivotCell(cell, number));
+    });
+    const rowKeys = Array.from(rowCells.keys()).sort(compareFacetValues);
+    const columnKeys = Array.from(columnCells.keys()).sort(compareFacetValues);
+    const value = cell => pivotCellValue(cell, options.aggregate);
+    return {
+        rowKeys,
+        columnKeys,
+        values: rowKeys.map(rowKey => columnKeys.map(columnKey => value(cells.get(`${rowKey}\u0001${columnKey}`)))),
+        rowTotals: rowKeys.map(rowKey => value(rowCells.get(rowKey))),
+        columnTotals: columnKeys.map(columnKey => value(columnCells.get(columnKey))),
+        total: value(totalCell)
+    };
+}
+
+// --- Dataset Diff ---
+// Two versions of a sheet are compared by a key column: the n-th row with a
+// key value in one version pairs with the n-th row with that value in the
+// other, and paired rows are compared cell by cell as text.
+
+// Helper: Rows grouped by their key value, in order
+function groupRowsByKey(rows, key) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const value = isBlank(row[key]) ? '' : String(row[key]).trim();
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(row);
+    });
+    return groups;
+}
+
+// Utility: Compare the stored rows of a sheet with an updated version.
+// Returns { added: [new rows], removed: [old rows],
+// changed: [{ oldRow, newRow, fields }], unchanged, duplicateKeys }
+function diffSheetRows(oldRows, newRows, key, columns) {
+    const oldGroups = groupRowsByKey(oldRows, key);
+    const newGroups = groupRowsByKey(newRows, key);
+    const diff = { added: [], removed: [], changed: [], unchanged: 0, duplicateKeys: 0 };
+    const paired = new Set();
+    newGroups.forEach((rows, value) => {
+        const olds = oldGroups.get(value) || [];
+        if (rows.length > 1 || olds.length > 1) diff.duplicateKeys++;
+        rows.forEach((newRow, i) => {
+            const oldRow = olds[i];
+            if (!oldRow) {
+                diff.added.push(newRow);
+                return;
+            }
+            paired.add(oldRow);
+            const fields = columns.filter(field =>
+                (isBlank(oldRow[field]) ? '' : String(oldRow[field])) !==
+                (isBlank(newRow[field]) ? '' : String(newRow[field])));
+            if (fields.length) {
+                diff.changed.push({ oldRow, newRow, fields });
+            } else {
+                diff.unchanged++;
+            }
+        });
+    });
+    oldGroups.forEach((rows, value) => {
+        if (!newGroups.has(value) && rows.length > 1) diff.duplicateKeys++;
+    });
+    diff.removed = oldRows.filter(row => !paired.has(row));
+    return diff;
+}
+
+// Utility: Rows of a sheet after merging an update into them: 'merge' takes
+// every change and keeps removed rows, 'keep' also keeps the cells and rows
+// edited here. edits maps a row to true (added here) or a Set of edited
+// fields. Changes are written into the stored row objects.
+function mergeSheetRows(oldRows, diff, mode, edits) {
+    diff.changed.forEach(change => {
+        const edit = edits.get(change.oldRow);
+        change.fields.forEach(field => {
+            if (mode === 'keep' && (edit === true || (!!edit && edit.has(field)))) return;
+            change.oldRow[field] = change.newRow[field];
+            if (edit && edit !== true) edit.delete(field);
+        });
+    });
+    const removed = new Set(diff.removed);
+    const isEdited = row => {
+        const edit = edits.get(row);
+        return edit === true || (!!edit && edit.size > 0);
+    };
+    const kept = mode === 'merge'
+        ? oldRows
+        : oldRows.filter(row => !removed.has(row) || isEdited(row));
+    return kept.concat(diff.added);
+}
+
+// --- Computed Field Formulas ---
+// Computed fields are defined by formulas such as
+//   [First Name] & " " & [Last Name]
+//   AGE([Date of Birth])
+//   IF([Score] >= 50, "Pass", "Fail")
+// Columns are written in brackets (or bare when the name is one word), text
+// in quotes. + - * / work on numbers, & joins text, = <> < <= > >= compare.
+// A formula is parsed into a tree and evaluated by walking it, so nothing
+// but the operators and FORMULA_FUNCTIONS can run.
+const FORMULA_OPERATORS = ['<=', '>=', '<>', '!=', '=', '<', '>', '+', '-', '*', '/', '&', '(', ')', ','];
+const FORMULA_PRECEDENCE = { '=': 1, '<>': 1, '!=': 1, '<': 1, '<=': 1, '>': 1, '>=': 1, '&': 2, '+': 3, '-': 3, '*': 4, '/': 4 };
+
+// Helper: Formula value as a number; blank cells count as 0
+function formulaNumber(value) {
+    if (isBlank(value)) return 0;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const number = toNumber(value);
+    if (number === null) throw new Error(`"${value}" is not a number.`);
+    return number;
+}
+
+function formulaText(value) {
+    if (isBlank(value)) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+function formulaBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (isBlank(value)) return false;
+    const number = toNumber(value);
+    if (number !== null) return number !== 0;
+    return !['false', 'no'].includes(String(value).trim().toLowerCase());
+}
+
+// Helper: Whole-day Excel serial of a date cell; null when blank
+function formulaDate(value) {
+    if (isBlank(value)) return null;
+    const parts = dateParts(value);
+    if (!parts) throw new Error(`"${value}" is not a date.`);
+    return Date.UTC(parts.year, parts.month - 1, parts.day) / DAY_MS + EXCEL_EPOCH_OFFSET;
+}
+
+// Helper: Date part of a serial (UTC midnight)
+function serialDate(serial) {
+    return new Date(excelSerialToTime(serial));
+}
+
+function todaySerial() {
+    const now = new Date();
+    return Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()) / DAY_MS + EXCEL_EPOCH_OFFSET;
+}
+
+// Helper: Compare two values: as numbers when both are numeric, otherwise
+// as text ignoring case
+function compareFormulaValues(a, b) {
+    const na = typeof a === 'boolean' ? null : toNumber(a);
+    const nb = typeof b === 'boolean' ? null : toNumber(b);
+    if (na !== null && nb !== null) return na - nb;
+    const ta = formulaText(a).toLowerCase();
+    const tb = formulaText(b).toLowerCase();
+    return ta < tb ? -1 : ta > tb ? 1 : 0;
+}
+
+// Functions available in formulas: [fewest arguments, most (Infinity for
+// any number), implementation taking the evaluated arguments]
+const FORMULA_FUNCTIONS = {
+    IF: [2, 3, ([test, then, otherwise = false]) => formulaBoolean(test) ? then : otherwise],
+    AND: [1, Infinity, args => args.every(formulaBoolean)],
+    OR: [1, Infinity, args => args.some(formulaBoolean)],
+    NOT: [1, 1, ([value]) => !formulaBoolean(value)],
+    ISBLANK: [1, 1, ([value]) => isBlank(value) || String(value).trim() === ''],
+    CONCAT: [1, Infinity, args => args.map(formulaText).join('')],
+    UPPER: [1, 1, ([value]) => formulaText(value).toUpperCase()],
+    LOWER: [1, 1, ([value]) => formulaText(value).toLowerCase()],
+    TRIM: [1, 1, ([value]) => formulaText(value).trim().replace(/\s+/g, ' ')],
+    LEN: [1, 1, ([value]) => formulaText(value).length],
+    LEFT: [1, 2, ([value, count = 1]) => formulaText(value).slice(0, Math.max(0, formulaNumber(count)))],
+    RIGHT: [1, 2, ([value, count = 1]) => {
+        const text = formulaText(value);
+        return text.slice(Math.max(0, text.length - formulaNumber(count)));
+    }],
+    ROUND: [1, 2, ([value, digits = 0]) => {
+        const factor = Math.pow(10, formulaNumber(digits));
+        return Math.round(formulaNumber(value) * factor) / factor;
+    }],
+    ABS: [1, 1, ([value]) => Math.abs(formulaNumber(value))],
+    MIN: [1, Infinity, args => Math.min(...args.map(formulaNumber))],
+    MAX: [1, Infinity, args => Math.max(...args.map(formulaNumber))],
+    SUM: [1, Infinity, args => args.reduce((sum, value) => sum + formulaNumber(value), 0)],
+    TODAY: [0, 0, () => todaySerial()],
+    YEAR: [1, 1, ([value]) => {
+        const serial = formulaDate(value);
+        return serial === null ? '' : serialDate(serial).getUTCFullYear();
+    }],
+    MONTH: [1, 1, ([value]) => {
+        const serial = formulaDate(value);
+        return serial === null ? '' : serialDate(serial).getUTCMonth() + 1;
+    }],
+    DAY: [1, 1, ([value]) => {
+        const serial = formulaDate(value);
+        return serial === null ? '' : serialDate(serial).getUTCDate();
+    }],
+    // Days from start to end
+    DAYS: [2, 2, ([end, start]) => {
+        const a = formulaDate(end);
+        const b = formulaDate(start);
+        return a === null || b === null ? '' : a - b;
+    }],
+    // Whole years from a date of birth to today (or to the second date)
+    AGE: [1, 2, ([birth, on]) => {
+        const from = formulaDate(birth);
+        if (from === null) return '';
+        const to = on === undefined ? todaySerial() : formulaDate(on);
+        if (to === null) return '';
+        const a = serialDate(from);
+        const b = serialDate(to);
+        const beforeBirthday = b.getUTCMonth() < a.getUTCMonth() ||
+            (b.getUTCMonth() === a.getUTCMonth() && b.getUTCDate() < a.getUTCDate());
+        return b.getUTCFullYear() - a.getUTCFullYear() - (beforeBirthday ? 1 : 0);
+    }]
+};
+
+// Helper: Split a formula into tokens
+function tokenizeFormula(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '[') {
+            const end = text.indexOf(']', i + 1);
+            if (end === -1) throw new Error('Missing closing bracket.');
+            tokens.push({ type: 'column', value: text.slice(i + 1, end).trim(), start: i, end: end + 1 });
+            i = end + 1;
+            continue;
+        }
+        if (ch === '"' || ch === "'") {
+            // A doubled quote stands for the quote itself
+            let value = '';
+            let end = i + 1;
+            for (;;) {
+                if (end >= text.length) throw new Error('Missing closing quote.');
+                if (text[end] === ch) {
+                    if (text[end + 1] !== ch) break;
+                    end++;
+                }
+                value += text[end++];
+            }
+            tokens.push({ type: 'text', value });
+            i = end + 1;
+            continue;
+        }
+        const number = /^(\d+\.?\d*|\.\d+)/.exec(text.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]) });
+            i += number[0].length;
+            continue;
+        }
+        const name = /^[\p{L}_][\p{L}\p{N}_]*/u.exec(text.slice(i));
+        if (name) {
+            tokens.push({ type: 'name', value: name[0], start: i, end: i + name[0].length });
+            i += name[0].length;
+            continue;
+        }
+        const op = FORMULA_OPERATORS.find(o => text.startsWith(o, i));
+        if (!op) throw new Error(`Unexpected "${ch}".`);
+        tokens.push({ type: op });
+        i += op.length;
+    }
+    return tokens;
+}
+
+// Utility: A formula with its references to a column (bare or in brackets,
+// in any case) changed to another column name; the rest is kept as typed
+function renameFormulaColumn(text, from, to) {
+    const tokens = tokenizeFormula(text);
+    let result = '';
+    let copied = 0;
+    tokens.forEach((token, i) => {
+        const next = tokens[i + 1];
+        const isReference = token.type === 'column' || (token.type === 'name' &&
+            !(next && next.type === '(') && !/^(true|false)$/i.test(token.value));
+        if (!isReference || token.value.toLowerCase() !== from.toLowerCase()) return;
+        result += `${text.slice(copied, token.start)}[${to}]`;
+        copied = token.end;
+    });
+    return result + text.slice(copied);
+}
+
+// Utility: Parse a formula into a tree, resolving column names
+// case-insensitively against columns. Throws an Error describing the first
+// problem.
+function compileFormula(text, columns) {
+    const tokens = tokenizeFormula(text);
+    if (!tokens.length) throw new Error('The formula is empty.');
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const describe = token => token.type === 'name' || token.type === 'number' ? String(token.value)
+        : token.type === 'text' ? `"${token.value}"`
+        : token.type === 'column' ? `[${token.value}]` : token.type;
+    const resolveColumn = name => {
+        const field = columns.find(column => column.toLowerCase() === name.toLowerCase());
+        if (!field) throw new Error(`Unknown column [${name}].`);
+        return { type: 'column', field };
+    };
+
+    function parseExpression(minPrecedence) {
+        let node = parseUnary();
+        while (peek() && FORMULA_PRECEDENCE[peek().type] >= minPrecedence) {
+            const op = tokens[pos++].type;
+            node = { type: 'binary', op, left: node, right: parseExpression(FORMULA_PRECEDENCE[op] + 1) };
+        }
+        return node;
+    }
+    function parseUnary() {
+        if (peek() && (peek().type === '-' || peek().type === '+')) {
+            const op = tokens[pos++].type;
+            const expr = parseUnary();
+            return op === '-' ? { type: 'negate', expr } : expr;
+        }
+        return parsePrimary();
+    }
+    function parseCall(name) {
+        const key = name.toUpperCase();
+        if (!Object.prototype.hasOwnProperty.call(FORMULA_FUNCTIONS, key)) {
+            throw new Error(`Unknown function ${name}().`);
+        }
+        pos++; // (
+        const args = [];
+        if (peek() && peek().type === ')') {
+            pos++;
+        } else {
+            for (;;) {
+                args.push(parseExpression(1));
+                const token = tokens[pos++];
+                if (token && token.type === ')') break;
+                if (!token || token.type !== ',') throw new Error(`Missing closing parenthesis after ${key}(.`);
+            }
+        }
+        const [min, max] = FORMULA_FUNCTIONS[key];
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? min : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+            const plural = (max === Infinity ? min : max) === 1 ? '' : 's';
+            throw new Error(`${key}() takes ${expected} argument${plural}.`);
+        }
+        return { type: 'call', name: key, args };
+    }
+    function parsePrimary() {
+        const token = tokens[pos++];
+        if (!token) throw new Error('The formula ends unexpectedly.');
+        if (token.type === 'number' || token.type === 'text') return { type: 'value', value: token.value };
+        if (token.type === 'column') return resolveColumn(token.value);
+        if (token.type === 'name') {
+            if (peek() && peek().type === '(') return parseCall(token.value);
+            const upper = token.value.toUpperCase();
+            if (upper === 'TRUE' || upper === 'FALSE') return { type: 'value', value: upper === 'TRUE' };
+            return resolveColumn(token.value);
+        }
+        if (token.type === '(') {
+            const node = parseExpression(1);
+            if (!peek() || peek().type !== ')') throw new Error('Missing closing parenthesis.');
+            pos++;
+            return node;
+        }
+        throw new Error(`Unexpected "${describe(token)}".`);
+    }
+
+    const tree = parseExpression(1);
+    if (pos < tokens.length) throw new Error(`Unexpected "${describe(tokens[pos])}".`);
+    return tree;
+}
+
+// Utility: Value of a compiled formula for a row; throws an Error when a
+// value doesn't fit (text in a sum, division by zero ...)
+function evaluateFormula(node, row) {
+    switch (node.type) {
+        case 'value':
+            return node.value;
+        case 'column':
+            return Object.prototype.hasOwnProperty.call(row, node.field) ? row[node.field] : '';
+        case 'negate':
+            return -formulaNumber(evaluateFormula(node.expr, row));
+        case 'call':
+            // IF only evaluates the branch it returns
+            if (node.name === 'IF') {
+                const branch = formulaBoolean(evaluateFormula(node.args[0], row)) ? node.args[1] : node.args[2];
+                return branch ? evaluateFormula(branch, row) : false;
+            }
+            return FORMULA_FUNCTIONS[node.name][2](node.args.map(arg => evaluateFormula(arg, row)));
+    }
+    const a = evaluateFormula(node.left, row);
+    const b = evaluateFormula(node.right, row);
+    switch (node.op) {
+        case '&': return formulaText(a) + formulaText(b);
+        case '+': return formulaNumber(a) + formulaNumber(b);
+        case '-': return formulaNumber(a) - formulaNumber(b);
+        case '*': return formulaNumber(a) * formulaNumber(b);
+        case '/': {
+            const divisor = formulaNumber(b);
+            if (divisor === 0) throw new Error('Division by zero.');
+            return formulaNumber(a) / divisor;
+        }
+        case '=': return compareFormulaValues(a, b) === 0;
+        case '<>':
+        case '!=': return compareFormulaValues(a, b) !== 0;
+        case '<': return compareFormulaValues(a, b) < 0;
+        case '<=': return compareFormulaValues(a, b) <= 0;
+        case '>': return compareFormulaValues(a, b) > 0;
+        default: return compareFormulaValues(a, b) >= 0;
+    }
+}
+
+// --- Validation Rules ---
+// Rules are set per column: { required, unique, pattern (regular expression
+// text the whole cell must match), min and max (numbers or dates), allowed
+// ([values]) }. Apart from `required`, blank cells pass every rule; allowed
+// values and duplicates are compared ignoring case.
+
+// Helper: Regular expression of a pattern rule, anchored so it has to match
+// the whole cell. Throws for invalid patterns.
+function compileRulePattern(pattern) {
+    return new RegExp(`^(?:${pattern})$`);
+}
+
+// Helper: Compare a cell with a range bound; numbers when the bound is a
+// number, else dates. Returns null when the cell can't be compared.
+function compareWithBound(value, bound) {
+    const number = toNumber(bound);
+    if (number !== null) {
+        const cell = toNumber(value);
+        return cell === null ? null : cell - number;
+    }
+    const limit = toTimestamp(bound);
+    const cell = toTimestamp(value);
+    return limit === null || cell === null ? null : cell - limit;
+}
+
+// Utility: Check rows against the rules; returns an array with, per row,
+// null or the issues found: [{ field, rule, message }]
+function validateRows(rows, rules) {
+    const checks = Object.keys(rules).map(field => {
+        const rule = rules[field];
+        let pattern = null;
+        try {
+            pattern = rule.pattern ? compileRulePattern(rule.pattern) : null;
+        } catch {
+            pattern = null; // rejected when the rule is saved
+        }
+        const allowed = rule.allowed && rule.allowed.length
+            ? new Set(rule.allowed.map(value => cellText(value).trim()))
+            : null;
+        const counts = new Map();
+        if (rule.unique) {
+            rows.forEach(row => {
+                if (isBlank(row[field])) return;
+                const key = cellText(row[field]).trim();
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+        }
+        return { field, rule, pattern, allowed, counts };
+    });
+
+    return rows.map(row => {
+        const issues = [];
+        checks.forEach(({ field, rule, pattern, allowed, counts }) => {
+            const value = row[field];
+            const add = (type, message) => issues.push({ field, rule: type, message });
+            if (isBlank(value) || String(value).trim() === '') {
+                if (rule.required) add('required', `${field} is required.`);
+                return;
+            }
+            const text = cellText(value).trim();
+            if (pattern && !pattern.test(String(value).trim())) {
+                add('pattern', `${field} "${value}" is not in the expected format.`);
+            }
+            const hasMin = !isBlank(rule.min);
+            const hasMax = !isBlank(rule.max);
+            if (hasMin || hasMax) {
+                const belowMin = hasMin ? compareWithBound(value, rule.min) : 0;
+                const aboveMax = hasMax ? compareWithBound(value, rule.max) : 0;
+                if (belowMin === null || aboveMax === null) {
+                    add('range', `${field} "${value}" is not a ${toNumber(hasMin ? rule.min : rule.max) !== null ? 'number' : 'date'}.`);
+                } else if (belowMin < 0) {
+                    add('range', `${field} ${value} is below the minimum of ${rule.min}.`);
+                } else if (aboveMax > 0) {
+                    add('range', `${field} ${value} is above the maximum of ${rule.max}.`);
+                }
+            }
+            if (allowed && !allowed.has(text)) {
+                add('allowed', `${field} "${value}" is not one of the allowed values.`);
+            }
+            if (rule.unique && counts.get(text) > 1) {
+                add('unique', `${field} "${value}" appears in ${counts.get(text)} rows.`);
+            }
+        });
+        return issues.length ? issues : null;
+    });
+}
+
+// --- Barcode Decoding ---
+// Barcodes and QR codes are decoded with the bundled ZXing library
+// (vendor/zxing), which has to be loaded before decodeBarcodePixels runs.
+// Works on plain pixel arrays, so it also runs in the worker.
+
+// Utility: Decode the first barcode or QR code in RGBA pixels
+// ({ data, width, height }, e.g. ImageData); returns { text, format } or null
+function decodeBarcodePixels(image) {
+    const { data, width, height } = image;
+    const luminances = new Uint8ClampedArray(width * height);
+    for (let i = 0, p = 0; i < luminances.length; i++, p += 4) {
+        luminances[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+    }
+    const source = new ZXing.RGBLuminanceSource(luminances, width, height);
+    const hints = new Map([[ZXing.DecodeHintType.TRY_HARDER, true]]);
+    const reader = new ZXing.MultiFormatReader();
+    // The global binarizer copes better with blurry 1D barcodes
+    for (const Binarizer of [ZXing.HybridBinarizer, ZXing.GlobalHistogramBinarizer]) {
+        try {
+            const result = reader.decode(new ZXing.BinaryBitmap(new Binarizer(source)), hints);
+            return { text: result.getText(), format: ZXing.BarcodeFormat[result.getBarcodeFormat()] };
+        } catch (err) {
+            if (!(err instanceof ZXing.Exception)) throw err; // not found, checksum or format errors
+        }
+    }
+    return null;
+}
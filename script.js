@@ -1,62 +1,319 @@
 // Simple Excel Card App: script.js
-// Uses SheetJS via CDN for Excel parsing
-// Handles localStorage with expiration, dynamic card rendering, search, and offline usability
+// Uses SheetJS (bundled in vendor/xlsx) for Excel, ODS and CSV parsing
+// Handles an IndexedDB dataset library with expiration, dynamic card rendering, search, and offline usability
+// Parsing and searching run in a Web Worker (worker.js); the data functions live in core.js
 
 const DB_NAME = 'excel_card_db';
-const DB_STORE = 'excel_data';
-const FILE_KEY = 'excel_card_file'; // Only used as key in IndexedDB
-const CONFIG_KEY = 'excel_card_config';
-const EXPIRY_KEY = 'excel_card_expiry';
-const EXPIRY_DAYS = 30;
+const DB_VERSION = 4;
+const DB_STORE = 'excel_data'; // dataset id -> { sheetNames, sheets }
+const META_STORE = 'datasets'; // dataset id -> name, upload date, row count and config
+const INDEX_STORE = 'search_index'; // dataset id -> { sheet key -> search index }
+const STATUS_STORE = 'row_status'; // dataset + key column + key value -> row status mark
+const FILE_KEY = 'excel_card_file'; // Key of the single workbook stored by DB version 1
+const CONFIG_KEY = 'excel_card_config'; // localStorage config used by DB version 1
+const ACTIVE_DATASET_KEY = 'excel_card_active_dataset';
+const EXPIRY_KEY = 'excel_card_expiry'; // one expiry for all datasets, used before per-dataset retention
+const RETENTION_DAYS = 30; // retention of new datasets
+const EXPIRY_WARNING_DAYS = 3; // warn this long before a dataset is deleted
+const SESSION_COOKIE = 'excel_card_session'; // browsers drop it on exit; ends "until the browser closes" datasets
+const ALL_SHEETS = '__all__'; // Sheet picker value for browsing every sheet together
+const SHEET_COLUMN = 'Sheet'; // Source column added to rows in "All Sheets" mode
 
 let excelData = [];
 let selectedFields = [];
+let workbookSheets = {}; // sheet name -> rows
+let workbookColumns = {}; // sheet name -> column names in the original order
+let workbookDateColumns = {}; // sheet name -> columns holding Excel date serials
+let viewColumns = []; // columns of the rows currently in excelData
+let sheetNames = [];
+let activeSheet = '';
+let fieldsBySheet = {}; // sheet name (or ALL_SHEETS) -> selected fields
+let filtersBySheet = {}; // sheet name (or ALL_SHEETS) -> facet filter state
+let sortBySheet = {}; // sheet name (or ALL_SHEETS) -> { keys: [{ field, dir }], groupBy }
+let displayBySheet = {}; // sheet name (or ALL_SHEETS) -> { field: display type }
+let statusKeysBySheet = {}; // sheet name (or ALL_SHEETS) -> key column for status marks
+let computedBySheet = {}; // sheet name (or ALL_SHEETS) -> [{ name, formula }] computed fields
+let currentDataset = null; // metadata of the open dataset, null until first saved
+let pendingDatasetName = ''; // file name used when an upload is first saved
 
 // --- IndexedDB helpers ---
 function openDB() {
     return new Promise((resolve, reject) => {
-        const req = indexedDB.open(DB_NAME, 1);
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
         req.onupgradeneeded = function(e) {
             const db = e.target.result;
             if (!db.objectStoreNames.contains(DB_STORE)) {
                 db.createObjectStore(DB_STORE);
             }
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(INDEX_STORE)) {
+                db.createObjectStore(INDEX_STORE);
+            }
+            if (!db.objectStoreNames.contains(STATUS_STORE)) {
+                db.createObjectStore(STATUS_STORE, { keyPath: 'id' });
+            }
+            if (e.oldVersion === 1) {
+                migrateSingleWorkbook(e.target.transaction);
+            }
         };
         req.onsuccess = function(e) { resolve(e.target.result); };
         req.onerror = function(e) { reject(e.target.error); };
     });
 }
-async function saveExcelToDB(data) {
+
+// Migration: DB version 1 kept a single workbook under FILE_KEY with its
+// field config in localStorage. Turn it into the first library dataset.
+function migrateSingleWorkbook(tx) {
+    const dataStore = tx.objectStore(DB_STORE);
+    const req = dataStore.get(FILE_KEY);
+    req.onsuccess = function() {
+        if (!req.result) return;
+        let config = null;
+        try {
+            config = JSON.parse(localStorage.getItem(CONFIG_KEY));
+        } catch {
+            config = null;
+        }
+        const stored = normalizeStored(req.result, config || {});
+        const meta = createDatasetMeta('Imported workbook', stored.sheetNames, stored.sheets);
+        meta.config = { activeSheet: stored.activeSheet, fields: stored.fields };
+        dataStore.put({ sheetNames: stored.sheetNames, sheets: stored.sheets }, meta.id);
+        dataStore.delete(FILE_KEY);
+        tx.objectStore(META_STORE).put(meta);
+        localStorage.removeItem(CONFIG_KEY);
+        localStorage.setItem(ACTIVE_DATASET_KEY, meta.id);
+    };
+}
+
+// Helper: Run one request in its own transaction; resolves with the
+// request's result once the transaction has completed
+async function storeRequest(storeName, mode, makeRequest) {
     const db = await openDB();
     return new Promise((resolve, reject) => {
-        const tx = db.transaction(DB_STORE, 'readwrite');
-        const store = tx.objectStore(DB_STORE);
-        store.put(data, FILE_KEY);
-        tx.oncomplete = () => resolve();
+        const tx = db.transaction(storeName, mode);
+        const req = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
         tx.onerror = e => reject(e.target.error);
     });
 }
-async function loadExcelFromDB() {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction(DB_STORE, 'readonly');
-        const store = tx.objectStore(DB_STORE);
-        const req = store.get(FILE_KEY);
-        req.onsuccess = e => resolve(e.target.result || null);
-        req.onerror = e => reject(e.target.error);
-    });
+async function saveExcelToDB(id, data) {
+    const record = await sealRecord(data);
+    await storeRequest(DB_STORE, 'readwrite', store => store.put(record, id));
+}
+async function loadExcelFromDB(id) {
+    const data = await storeRequest(DB_STORE, 'readonly', store => store.get(id));
+    return (await openRecord(data)) || null;
+}
+async function deleteExcelFromDB(id) {
+    await storeRequest(DB_STORE, 'readwrite', store => store.delete(id));
+    await storeRequest(DB_STORE, 'readwrite', store => store.delete(previousVersionKey(id)));
+    await storeRequest(META_STORE, 'readwrite', store => store.delete(id));
+    await storeRequest(INDEX_STORE, 'readwrite', store => store.delete(id));
+    await deleteDatasetStatusMarks(id);
 }
 async function clearExcelDB() {
+    await storeRequest(DB_STORE, 'readwrite', store => store.clear());
+    await storeRequest(META_STORE, 'readwrite', store => store.clear());
+    await storeRequest(INDEX_STORE, 'readwrite', store => store.clear());
+    await storeRequest(STATUS_STORE, 'readwrite', store => store.clear());
+}
+async function saveDatasetMeta(meta) {
+    const record = await sealRecord(meta);
+    await storeRequest(META_STORE, 'readwrite', store => store.put(record.sealed ? { id: meta.id, ...record } : record));
+}
+async function loadDatasetMeta(id) {
+    const meta = await storeRequest(META_STORE, 'readonly', store => store.get(id));
+    return (await openRecord(meta)) || null;
+}
+// Search indexes hold every word of the rows, so they are not kept while
+// encryption is on; they are rebuilt after loading instead
+async function saveSearchIndexes(id, indexes) {
+    if (isEncryptionEnabled()) return;
+    await storeRequest(INDEX_STORE, 'readwrite', store => store.put(indexes, id));
+}
+async function loadSearchIndexes(id) {
+    if (isEncryptionEnabled()) return {};
+    const indexes = await storeRequest(INDEX_STORE, 'readonly', store => store.get(id));
+    return indexes || {};
+}
+async function saveStatusMark(mark) {
+    const record = await sealRecord(mark);
+    const id = await storedStatusId(mark.id);
+    await storeRequest(STATUS_STORE, 'readwrite', store => store.put(record.sealed ? { id, ...record } : record));
+}
+async function deleteStatusMark(id) {
+    const storedId = await storedStatusId(id);
+    await storeRequest(STATUS_STORE, 'readwrite', store => store.delete(storedId));
+}
+async function loadStatusMarks() {
+    const marks = await storeRequest(STATUS_STORE, 'readonly', store => store.getAll());
+    return Promise.all(marks.map(openRecord));
+}
+async function deleteDatasetStatusMarks(datasetId) {
+    const marks = await loadStatusMarks();
+    for (const mark of marks) {
+        if (mark.datasetId === datasetId) await deleteStatusMark(mark.id);
+    }
+}
+async function loadDatasetList() {
+    const metas = await storeRequest(META_STORE, 'readonly', store => store.getAll());
+    return (await Promise.all(metas.map(openRecord))).sort((a, b) => b.uploadedAt - a.uploadedAt);
+}
+
+// --- Passphrase Encryption ---
+// With a passphrase set, datasets, their configs and status marks are stored
+// AES-GCM encrypted under a key derived from the passphrase (PBKDF2). The
+// key only lives in memory while the app is unlocked.
+const LOCK_KEY = 'excel_card_lock'; // localStorage: { salt, iterations, check, autoLockMinutes }
+const PBKDF2_ITERATIONS = 310000;
+const LOCK_CHECK_TEXT = 'excel-card-unlocked'; // encrypted to tell a wrong passphrase apart
+let vaultKeys = null; // { aes, hmac } while unlocked
+
+function getLockSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(LOCK_KEY));
+    } catch {
+        return null;
+    }
+}
+
+function isEncryptionEnabled() {
+    return Boolean(getLockSettings());
+}
+
+// Helper: Bytes <-> base64 for the values kept in localStorage
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Utility: Derive the encryption key and the key used to hide the row keys
+// in status mark ids from a passphrase
+async function deriveVaultKeys(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512));
+    return {
+        aes: await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+        hmac: await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    };
+}
+
+async function encryptWith(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plain = new TextEncoder().encode(JSON.stringify(value));
+    return { iv, data: new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain)) };
+}
+async function decryptWith(key, sealed) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// Helper: Keys to store new records with: none without a passphrase; an
+// error while locked so nothing is written unencrypted
+function currentSealKeys() {
+    if (isEncryptionEnabled() && !vaultKeys) throw new Error('The app is locked.');
+    return vaultKeys;
+}
+
+async function sealRecord(value, keys = currentSealKeys()) {
+    return keys ? { sealed: await encryptWith(keys.aes, value) } : value;
+}
+
+// Plain records saved before the passphrase was set are returned as they are
+async function openRecord(record) {
+    if (!record || !record.sealed) return record;
+    if (!vaultKeys) throw new Error('The app is locked.');
+    return decryptWith(vaultKeys.aes, record.sealed);
+}
+
+// Helper: Store id of a status mark; its plain id contains the row's key value
+async function storedStatusId(id, keys = currentSealKeys()) {
+    if (!keys) return id;
+    const mac = await crypto.subtle.sign('HMAC', keys.hmac, new TextEncoder().encode(id));
+    return Array.from(new Uint8Array(mac), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Utility: Rewrite every stored record for new keys (null for plain records).
+// Everything is read with the current keys first and written in one
+// transaction, so a failure leaves the old records in place.
+async function resealStores(keys) {
+    const readAll = async storeName => {
+        const ids = await storeRequest(storeName, 'readonly', store => store.getAllKeys());
+        const records = await storeRequest(storeName, 'readonly', store => store.getAll());
+        return { ids, values: await Promise.all(records.map(openRecord)) };
+    };
+    const data = await readAll(DB_STORE);
+    const metas = await readAll(META_STORE);
+    const marks = await readAll(STATUS_STORE);
+    const sealed = async value => {
+        const record = await sealRecord(value, keys);
+        return record.sealed ? { id: value.id, ...record } : record;
+    };
+    const dataRecords = await Promise.all(data.values.map(value => sealRecord(value, keys)));
+    const metaRecords = await Promise.all(metas.values.map(sealed));
+    const markRecords = await Promise.all(marks.values.map(async mark => {
+        const record = await sealed(mark);
+        return { ...record, id: await storedStatusId(mark.id, keys) };
+    }));
+
     const db = await openDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction(DB_STORE, 'readwrite');
-        const store = tx.objectStore(DB_STORE);
-        store.delete(FILE_KEY);
-        tx.oncomplete = () => resolve();
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction([DB_STORE, META_STORE, INDEX_STORE, STATUS_STORE], 'readwrite');
+        [DB_STORE, META_STORE, INDEX_STORE, STATUS_STORE].forEach(name => tx.objectStore(name).clear());
+        dataRecords.forEach((record, i) => tx.objectStore(DB_STORE).put(record, data.ids[i]));
+        metaRecords.forEach(record => tx.objectStore(META_STORE).put(record));
+        markRecords.forEach(record => tx.objectStore(STATUS_STORE).put(record));
+        tx.oncomplete = resolve;
         tx.onerror = e => reject(e.target.error);
     });
 }
 
+// Utility: Set or change the passphrase and encrypt the saved data with it
+async function setPassphrase(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const keys = await deriveVaultKeys(passphrase, salt, PBKDF2_ITERATIONS);
+    const check = await encryptWith(keys.aes, LOCK_CHECK_TEXT);
+    await resealStores(keys);
+    const previous = getLockSettings();
+    localStorage.setItem(LOCK_KEY, JSON.stringify({
+        salt: toBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        check: { iv: toBase64(check.iv), data: toBase64(check.data) },
+        autoLockMinutes: previous ? previous.autoLockMinutes : 0
+    }));
+    vaultKeys = keys;
+}
+
+// Utility: Store the saved data unencrypted again
+async function removePassphrase() {
+    await resealStores(null);
+    localStorage.removeItem(LOCK_KEY);
+    vaultKeys = null;
+}
+
+// Utility: Check a passphrase against the stored settings; true once unlocked
+async function unlockVault(passphrase) {
+    const settings = getLockSettings();
+    const keys = await deriveVaultKeys(passphrase, fromBase64(settings.salt), settings.iterations);
+    try {
+        const check = await decryptWith(keys.aes, {
+            iv: fromBase64(settings.check.iv),
+            data: fromBase64(settings.check.data)
+        });
+        if (check !== LOCK_CHECK_TEXT) return false;
+    } catch {
+        return false; // AES-GCM rejects a wrong key
+    }
+    vaultKeys = keys;
+    return true;
+}
+
 const fileInput = document.getElementById('excel-file');
 const fileError = document.getElementById('file-error');
 const columnSection = document.getElementById('column-select-section');
@@ -67,224 +324,4093 @@ const searchInput = document.getElementById('search-input');
 const cardsSection = document.getElementById('cards-section');
 const noMatches = document.getElementById('no-matches');
 const searchFieldSelect = document.getElementById('search-field');
+const searchError = document.getElementById('search-error');
 
-// Utility: Set expiry in localStorage
-function setExpiry() {
-    const now = new Date();
-    const expiry = now.getTime() + EXPIRY_DAYS * 24 * 60 * 60 * 1000;
-    localStorage.setItem(EXPIRY_KEY, expiry);
+// Utility: Set how long a dataset is kept: 'never' (no expiry), 'session'
+// (until the browser closes) or a number of days from now
+function setRetention(meta, retention) {
+    meta.retention = retention;
+    meta.expiresAt = typeof retention === 'number' ? Date.now() + retention * DAY_MS : null;
 }
 
-// Utility: Check and clear expired data
-async function checkExpiry() {
-    const expiry = localStorage.getItem(EXPIRY_KEY);
-    if (expiry && Date.now() > parseInt(expiry, 10)) {
-        await clearExcelDB();
-        localStorage.removeItem(CONFIG_KEY);
-        localStorage.removeItem(EXPIRY_KEY);
-        return true;
+// Utility: Delete the datasets whose retention has run out
+async function removeExpiredDatasets() {
+    const legacyExpiry = parseInt(localStorage.getItem(EXPIRY_KEY), 10);
+    const hasSessionCookie = () => document.cookie.split('; ').includes(`${SESSION_COOKIE}=1`);
+    const sessionStarted = hasSessionCookie();
+    document.cookie = `${SESSION_COOKIE}=1; SameSite=Strict`;
+    // Where cookies can't be kept (file://, blocked) a new session can't be
+    // told apart, so datasets kept for the session stay
+    const newSession = !sessionStarted && hasSessionCookie();
+    const now = Date.now();
+    const removed = [];
+    for (const meta of await loadDatasetList()) {
+        if (meta.retention === undefined) {
+            // Saved under the single shared expiry, which every save pushed back
+            meta.retention = RETENTION_DAYS;
+            meta.expiresAt = legacyExpiry || meta.uploadedAt + RETENTION_DAYS * DAY_MS;
+            await saveDatasetMeta(meta);
+        }
+        const expired = meta.retention === 'session'
+            ? newSession
+            : meta.expiresAt !== null && meta.expiresAt <= now;
+        if (expired) {
+            await deleteExcelFromDB(meta.id);
+            removed.push(meta.id);
+        }
+    }
+    localStorage.removeItem(EXPIRY_KEY);
+    if (removed.includes(localStorage.getItem(ACTIVE_DATASET_KEY))) {
+        localStorage.removeItem(ACTIVE_DATASET_KEY);
     }
-    return false;
+    return removed;
+}
+
+// Helper: Unique id for a new dataset
+function createDatasetId() {
+    return `ds-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// Helper: Total number of rows across all sheets
+function countRows(sheets) {
+    return Object.keys(sheets).reduce((sum, name) => sum + sheets[name].length, 0);
+}
+
+// Helper: Metadata record for a new dataset
+function createDatasetMeta(name, names, sheets) {
+    const meta = {
+        id: createDatasetId(),
+        name,
+        uploadedAt: Date.now(),
+        rowCount: countRows(sheets),
+        sheetNames: names.slice(),
+        config: { activeSheet: names[0], fields: {} }
+    };
+    setRetention(meta, RETENTION_DAYS);
+    return meta;
+}
+
+// Utility: Save the sheet picker state and per-sheet field selections
+// with the open dataset
+function saveConfig() {
+    if (!currentDataset) return Promise.resolve();
+    currentDataset.config = {
+        activeSheet,
+        fields: fieldsBySheet,
+        filters: filtersBySheet,
+        sorting: sortBySheet,
+        display: displayBySheet,
+        templates: templatesBySheet,
+        statusKeys: statusKeysBySheet,
+        computed: computedBySheet,
+        rules: validationRules
+    };
+    return saveDatasetMeta(currentDataset);
 }
 
-// Utility: Save data to IndexedDB, config to localStorage
-async function saveToStorage(data, fields) {
-    await saveExcelToDB(data);
-    localStorage.setItem(CONFIG_KEY, JSON.stringify(fields));
-    setExpiry();
+// Utility: Save the workbook and its metadata to IndexedDB, creating a new
+// library dataset the first time an upload is saved
+async function saveToStorage() {
+    if (!currentDataset) {
+        currentDataset = createDatasetMeta(pendingDatasetName || 'Untitled', sheetNames, workbookSheets);
+    }
+    currentDataset.rowCount = countRows(workbookSheets);
+    currentDataset.sheetNames = sheetNames.slice();
+    await saveExcelToDB(currentDataset.id, {
+        sheetNames,
+        sheets: workbookSheets,
+        columns: workbookColumns,
+        dateColumns: workbookDateColumns,
+        edits: collectRowEdits()
+    });
+    await saveSearchIndexes(currentDataset.id, searchIndexes);
+    await saveConfig();
+    localStorage.setItem(ACTIVE_DATASET_KEY, currentDataset.id);
+    renderDatasetLibrary();
 }
 
-// Utility: Load from IndexedDB/localStorage
+// Utility: Load the active dataset from IndexedDB
 async function loadFromStorage() {
-    if (await checkExpiry()) return null;
-    const config = localStorage.getItem(CONFIG_KEY);
-    const data = await loadExcelFromDB();
-    if (data && config) {
+    await openDB(); // Runs any pending migration, which may set the active dataset
+    await removeExpiredDatasets();
+    const id = localStorage.getItem(ACTIVE_DATASET_KEY);
+    if (!id) return null;
+    const meta = await loadDatasetMeta(id);
+    const data = await loadExcelFromDB(id);
+    const indexes = await loadSearchIndexes(id);
+    return meta && data ? { meta, data, indexes } : null;
+}
+
+// Utility: Upgrade data saved before multi-sheet support (a single rows array
+// and a single fields array) to the workbook/per-sheet config shape
+function normalizeStored(data, config) {
+    const workbook = Array.isArray(data)
+        ? { sheetNames: ['Sheet1'], sheets: { Sheet1: data } }
+        : data;
+    const firstSheet = workbook.sheetNames[0];
+    const stored = Array.isArray(config)
+        ? { activeSheet: firstSheet, fields: { [firstSheet]: config } }
+        : config;
+    return {
+        sheetNames: workbook.sheetNames,
+        sheets: workbook.sheets,
+        activeSheet: stored.activeSheet || firstSheet,
+        fields: stored.fields || {}
+    };
+}
+
+// --- Search Worker ---
+// File parsing and the search pipeline run in worker.js so large sheets
+// don't freeze the page. Without worker support (or if the worker fails to
+// load) the same core.js functions run here instead.
+let searchWorker = null;
+let workerRequestId = 0;
+const workerRequests = new Map(); // request id -> { message, resolve, reject, onProgress }
+let searchDataSource = null; // rows the search state was built from
+let searchDataVersion = 0;
+let searchDataDirty = false; // rows were edited in place since the last sync
+let localSearchState = createSearchState([], [], 0);
+let searchIndexes = {}; // sheet key -> search index of the open dataset, saved next to its rows
+
+function startSearchWorker() {
+    if (searchWorker || !window.Worker) return;
+    try {
+        searchWorker = new Worker('worker.js');
+    } catch (err) {
+        return;
+    }
+    searchWorker.onmessage = handleWorkerMessage;
+    searchWorker.onerror = function() {
+        // Finish whatever was pending on the page and stop using the worker
+        searchWorker.terminate();
+        searchWorker = null;
+        workerRequests.forEach(runLocally);
+    };
+}
+
+function handleWorkerMessage(e) {
+    const message = e.data;
+    const entry = workerRequests.get(message.id);
+    if (!entry) return; // cancelled
+    if (message.type === 'progress') {
+        if (entry.onProgress) entry.onProgress(message.text);
+        return;
+    }
+    workerRequests.delete(message.id);
+    if (message.type === 'result') {
+        entry.resolve(message.result);
+    } else {
+        entry.reject(new Error(message.message));
+    }
+}
+
+// Utility: Send a parse, search, profile, pivot or decode request to the worker.
+// Returns { id, promise }; progress texts go to onProgress.
+function workerRequest(message, onProgress) {
+    const id = ++workerRequestId;
+    const entry = { message: Object.assign({ id }, message), onProgress };
+    const promise = new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+    });
+    workerRequests.set(id, entry);
+    if (searchWorker) {
+        searchWorker.postMessage(entry.message);
+    } else {
+        runLocally(entry, id);
+    }
+    return { id, promise };
+}
+
+// Helper: Drop a request whose result is no longer wanted; its promise is
+// rejected with an AbortError
+function cancelWorkerRequest(id) {
+    const entry = workerRequests.get(id);
+    if (!entry) return;
+    workerRequests.delete(id);
+    if (searchWorker) searchWorker.postMessage({ type: 'cancel', id });
+    entry.reject(new DOMException('The request was cancelled.', 'AbortError'));
+}
+
+// Helper: Run a request on the page with the core.js functions
+function runLocally(entry, id) {
+    const message = entry.message;
+    if (message.type === 'search') {
+        settleLocally(id, () => runSearchNow(localSearchState, message.request));
+        return;
+    }
+    if (message.type === 'buildIndex') {
+        settleLocally(id, () => message.version === localSearchState.version ? getSearchIndex(localSearchState) : null);
+        return;
+    }
+    if (message.type === 'profile') {
+        settleLocally(id, () => message.version === localSearchState.version ? profileSearchRows(localSearchState, message.request) : null);
+        return;
+    }
+    if (message.type === 'pivot') {
+        settleLocally(id, () => message.version === localSearchState.version ? pivotSearchRows(localSearchState, message.request) : null);
+        return;
+    }
+    if (message.type === 'decode') {
+        loadBarcodeDecoder().then(
+            () => settleLocally(id, () => decodeBarcodePixels(message.image)),
+            err => settleLocally(id, () => {
+                throw err;
+            })
+        );
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        settleLocally(id, () => parseFileContent(e.target.result, message.options));
+    };
+    reader.onerror = function() {
+        settleLocally(id, () => {
+            throw new Error('Failed to read file.');
+        });
+    };
+    if (message.options.format === 'workbook') {
+        reader.readAsArrayBuffer(message.file);
+    } else {
+        reader.readAsText(message.file, message.options.encoding);
+    }
+}
+
+// Helper: Load the barcode decoder on the page (the worker loads its own copy)
+function loadBarcodeDecoder() {
+    if (window.ZXing) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = 'vendor/zxing/zxing.min.js';
+        script.onload = resolve;
+        script.onerror = () => reject(new Error('Could not load the barcode decoder.'));
+        document.head.appendChild(script);
+    });
+}
+
+function settleLocally(id, work) {
+    const entry = workerRequests.get(id);
+    if (!entry) return; // cancelled meanwhile
+    workerRequests.delete(id);
+    try {
+        entry.resolve(work());
+    } catch (err) {
+        entry.reject(err);
+    }
+}
+
+// Helper: Hand the rows being browsed to the search pipeline when they
+// changed (another sheet, dataset or edit), with their stored search index.
+// Without one, the index is built right away and saved with the dataset.
+function syncSearchData(data) {
+    if (data === searchDataSource && !searchDataDirty) return;
+    searchDataSource = data;
+    searchDataDirty = false;
+    const version = ++searchDataVersion;
+    const sheetKey = activeSheet;
+    const index = searchIndexes[sheetKey] || null;
+    localSearchState = createSearchState(data, viewColumns, version);
+    if (index) setSearchIndex(localSearchState, index);
+    if (searchWorker) {
+        searchWorker.postMessage({ type: 'setData', rows: data, columns: viewColumns, version, index });
+    }
+    if (index && isSearchIndexFor(index, data, viewColumns)) return;
+    workerRequest({ type: 'buildIndex', version }).promise.then(built => {
+        if (!built || version !== searchDataVersion) return;
+        searchIndexes[sheetKey] = built;
+        if (currentDataset) saveSearchIndexes(currentDataset.id, searchIndexes);
+    });
+}
+
+// --- File Import ---
+const WORKBOOK_EXTENSIONS = ['xlsx', 'xlsm', 'xlsb', 'xls', 'ods'];
+const TEXT_EXTENSIONS = ['csv', 'tsv', 'txt'];
+const delimiterSelect = document.getElementById('import-delimiter');
+const encodingSelect = document.getElementById('import-encoding');
+
+// Helper: Which reader handles a file, based on its extension
+function detectFileFormat(fileName) {
+    const ext = fileName.toLowerCase().split('.').pop();
+    if (WORKBOOK_EXTENSIONS.includes(ext)) return 'workbook';
+    if (TEXT_EXTENSIONS.includes(ext)) return 'text';
+    if (ext === 'json') return 'json';
+    return null;
+}
+
+// Utility: Read any supported file into { sheetNames, sheets, columns }
+// in the background, showing the worker's progress under the spinner
+function parseFile(file, callback) {
+    const options = {
+        format: detectFileFormat(file.name),
+        fileName: file.name,
+        delimiter: delimiterSelect.value,
+        encoding: encodingSelect.value
+    };
+    showSpinner(true, 'Reading file…');
+    workerRequest({ type: 'parse', file, options }, text => showSpinner(true, text)).promise.then(workbook => {
+        showSpinner(false);
+        callback(null, workbook);
+    }, err => {
+        showSpinner(false);
+        callback(err);
+    });
+}
+
+// --- Card Templates ---
+// The column selection doubles as a card layout designer: fields are ticked,
+// dragged into order and given a role (title, subtitle, highlighted primary
+// field or two-column section), a display type and optionally no label.
+// Templates are saved per sheet with the dataset config.
+const FIELD_ROLES = [
+    ['field', 'Field'],
+    ['columns', 'Two-column section'],
+    ['primary', 'Highlighted'],
+    ['title', 'Title'],
+    ['subtitle', 'Subtitle']
+];
+const SINGLE_ROLES = ['title', 'subtitle', 'primary'];
+const templatePreview = document.getElementById('template-preview');
+let templatesBySheet = {}; // sheet name (or ALL_SHEETS) -> card template
+let cardTemplate = createEmptyTemplate();
+let draggedField = null;
+
+function createEmptyTemplate() {
+    return { title: '', subtitle: '', primary: '', hiddenLabels: [], twoColumn: [] };
+}
+
+// Helper: A field's role in a template
+function getFieldRole(template, field) {
+    const single = SINGLE_ROLES.find(role => template[role] === field);
+    if (single) return single;
+    return template.twoColumn.includes(field) ? 'columns' : 'field';
+}
+
+// UI: Show column selection as the card layout designer
+function showColumnSelection(columns) {
+    selectedFields = [];
+    columnForm.innerHTML = '';
+    
+    // Get the fields previously saved for this sheet, if any; they keep
+    // their saved order and the other columns follow in sheet order
+    const savedFields = (fieldsBySheet[activeSheet] || []).filter(field => columns.includes(field));
+    const ordered = savedFields.concat(columns.filter(column => !savedFields.includes(column)));
+    
+    const list = document.createElement('ul');
+    list.className = 'template-fields';
+    ordered.forEach((column, index) => {
+        // Check if this field was previously selected (or check all if no saved fields)
+        const checked = savedFields.length === 0 || savedFields.includes(column);
+        list.appendChild(createTemplateRow(column, index, checked));
+        
+        // Add to selectedFields if checked
+        if (checked) {
+            selectedFields.push(column);
+        }
+    });
+    columnForm.appendChild(list);
+    updateTemplatePreview();
+    renderComputedList();
+    
+    // Update the search fields dropdown with the selected columns
+    updateSearchFields(selectedFields.length > 0 ? selectedFields : columns);
+    
+    columnSection.style.display = 'block';
+    searchSection.style.display = 'block';
+    
+    // If we have data and fields, render the cards
+    if (excelData.length > 0) {
+        renderCards(excelData, selectedFields);
+    }
+}
+
+// UI: One draggable field row of the layout designer
+function createTemplateRow(column, index, checked) {
+    const item = document.createElement('li');
+    item.className = 'template-field';
+    item.draggable = true;
+    item.dataset.field = column;
+    
+    const handle = document.createElement('span');
+    handle.className = 'drag-handle';
+    handle.setAttribute('aria-hidden', 'true');
+    handle.textContent = '⠿';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `col-${index}`;
+    checkbox.className = 'field-show';
+    checkbox.value = column;
+    checkbox.checked = checked;
+    
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.className = 'field-name';
+    label.textContent = column;
+    
+    const role = document.createElement('select');
+    role.className = 'field-role';
+    role.setAttribute('aria-label', `Role of ${column}`);
+    FIELD_ROLES.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        role.appendChild(option);
+    });
+    role.value = getFieldRole(cardTemplate, column);
+    
+    const hideLabel = document.createElement('label');
+    hideLabel.className = 'hide-label-option';
+    const hideCheckbox = document.createElement('input');
+    hideCheckbox.type = 'checkbox';
+    hideCheckbox.className = 'field-hide-label';
+    hideCheckbox.checked = cardTemplate.hiddenLabels.includes(column);
+    hideLabel.appendChild(hideCheckbox);
+    hideLabel.appendChild(document.createTextNode(' No label'));
+    
+    item.appendChild(handle);
+    item.appendChild(checkbox);
+    item.appendChild(label);
+    item.appendChild(role);
+    item.appendChild(createDisplayTypeSelect(column));
+    item.appendChild(hideLabel);
+    // Buttons for reordering without drag and drop (keyboard, touch)
+    [['up', '↑'], ['down', '↓']].forEach(([direction, arrow]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'move-btn';
+        button.dataset.direction = direction;
+        button.textContent = arrow;
+        button.setAttribute('aria-label', `Move ${column} ${direction}`);
+        item.appendChild(button);
+    });
+    return item;
+}
+
+// Helper: The layout currently set in the designer:
+// { fields (ticked, in order), template, display (field -> type) }
+function readTemplateForm() {
+    const template = createEmptyTemplate();
+    const fields = [];
+    const display = {};
+    columnForm.querySelectorAll('.template-field').forEach(item => {
+        const field = item.dataset.field;
+        const type = item.querySelector('.display-type-select').value;
+        if (type) display[field] = type;
+        if (!item.querySelector('.field-show').checked) return;
+        fields.push(field);
+        const role = item.querySelector('.field-role').value;
+        if (SINGLE_ROLES.includes(role)) template[role] = field;
+        if (role === 'columns') template.twoColumn.push(field);
+        if (item.querySelector('.field-hide-label').checked) template.hiddenLabels.push(field);
+    });
+    return { fields, template, display };
+}
+
+// UI: Preview the designed card with the first row of the sheet
+function updateTemplatePreview() {
+    templatePreview.innerHTML = '';
+    if (!excelData.length) {
+        templatePreview.style.display = 'none';
+        return;
+    }
+    const layout = readTemplateForm();
+    const card = document.createElement('div');
+    card.className = 'card';
+    appendCardFields(card, excelData[0], layout.fields, layout.template, field => getDisplayType(field, layout.display));
+    templatePreview.style.display = '';
+    templatePreview.appendChild(card);
+}
+
+// UI: Fill a card from a template: title and subtitle first, then the fields
+// in order, with the two-column fields gathered in one section
+function appendCardFields(card, row, fields, template, typeOf) {
+    [['title', 'card-title'], ['subtitle', 'card-subtitle']].forEach(([role, className]) => {
+        const field = template[role];
+        if (!field || !fields.includes(field) || isBlank(row[field])) return;
+        const heading = document.createElement('div');
+        heading.className = className;
+        heading.dataset.field = field;
+        appendFieldValue(heading, field, row[field], typeOf(field));
+        card.appendChild(heading);
+    });
+    let columnsSection = null;
+    fields.forEach(field => {
+        if (field === template.title || field === template.subtitle) return;
+        const line = document.createElement('div');
+        line.className = 'card-field';
+        line.dataset.field = field;
+        if (field === template.primary) line.classList.add('card-primary');
+        if (template.hiddenLabels.includes(field)) {
+            line.title = field;
+        } else {
+            const label = document.createElement('strong');
+            label.textContent = `${field}:`;
+            line.appendChild(label);
+            line.appendChild(document.createTextNode(' '));
+        }
+        appendFieldValue(line, field, row[field], typeOf(field));
+        if (!template.twoColumn.includes(field)) {
+            card.appendChild(line);
+            return;
+        }
+        if (!columnsSection) {
+            columnsSection = document.createElement('div');
+            columnsSection.className = 'card-columns';
+            card.appendChild(columnsSection);
+        }
+        columnsSection.appendChild(line);
+    });
+}
+
+columnForm.addEventListener('change', function(e) {
+    // Title, subtitle and highlighted field belong to one field at a time
+    if (e.target.classList.contains('field-role') && SINGLE_ROLES.includes(e.target.value)) {
+        columnForm.querySelectorAll('.field-role').forEach(select => {
+            if (select !== e.target && select.value === e.target.value) select.value = 'field';
+        });
+    }
+    updateTemplatePreview();
+});
+
+columnForm.addEventListener('click', function(e) {
+    if (!e.target.classList.contains('move-btn')) return;
+    const item = e.target.closest('.template-field');
+    if (e.target.dataset.direction === 'up' && item.previousElementSibling) {
+        item.parentNode.insertBefore(item, item.previousElementSibling);
+    } else if (e.target.dataset.direction === 'down' && item.nextElementSibling) {
+        item.parentNode.insertBefore(item.nextElementSibling, item);
+    }
+    e.target.focus();
+    updateTemplatePreview();
+});
+
+columnForm.addEventListener('dragstart', function(e) {
+    draggedField = e.target.closest('.template-field');
+    if (!draggedField) return;
+    draggedField.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedField.dataset.field);
+});
+
+columnForm.addEventListener('dragover', function(e) {
+    const target = e.target.closest('.template-field');
+    if (!draggedField || !target) return;
+    e.preventDefault();
+    if (target === draggedField) return;
+    const box = target.getBoundingClientRect();
+    const after = e.clientY > box.top + box.height / 2;
+    target.parentNode.insertBefore(draggedField, after ? target.nextSibling : target);
+});
+
+columnForm.addEventListener('drop', function(e) {
+    if (draggedField) e.preventDefault();
+});
+
+columnForm.addEventListener('dragend', function() {
+    if (!draggedField) return;
+    draggedField.classList.remove('dragging');
+    draggedField = null;
+    updateTemplatePreview();
+});
+
+// --- Computed Fields ---
+// Fields calculated by a formula from the other columns (see
+// compileFormula). They are defined per sheet, saved with the dataset config
+// and added to the rows being browsed, so they can be shown, searched,
+// filtered, sorted and exported like columns; the stored rows and the
+// workbook download keep only the real columns.
+const computedList = document.getElementById('computed-list');
+const computedForm = document.getElementById('computed-form');
+const computedNameInput = document.getElementById('computed-name');
+const computedFormulaInput = document.getElementById('computed-formula');
+const computedPreview = document.getElementById('computed-preview');
+const addComputedBtn = document.getElementById('add-computed');
+let viewFormulas = []; // [{ name, tree }] computed fields of the rows in excelData
+let editingComputed = -1; // index of the computed field in the form, -1 for a new one
+
+// Helper: Compile a sheet's computed fields in order; each may use the
+// columns and the computed fields before it. A formula that no longer
+// compiles (a column it used is gone) gets a null tree and blank values.
+function compileComputedFields(sheetKey, columns) {
+    const known = columns.slice();
+    return (computedBySheet[sheetKey] || []).map(def => {
+        let tree = null;
         try {
-            return {
-                data,
-                fields: JSON.parse(config)
-            };
+            tree = compileFormula(def.formula, known);
         } catch {
-            return null;
+            tree = null;
+        }
+        known.push(def.name);
+        return { name: def.name, tree };
+    });
+}
+
+function applyComputedFields(row, formulas) {
+    formulas.forEach(({ name, tree }) => {
+        let value = '';
+        try {
+            if (tree) value = evaluateFormula(tree, row);
+        } catch {
+            value = ''; // e.g. text where a number is needed
+        }
+        // Drop floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+        row[name] = typeof value === 'number' ? Number(value.toPrecision(15)) : value;
+    });
+}
+
+function isComputedField(field) {
+    return viewFormulas.some(formula => formula.name === field);
+}
+
+// Helper: Columns a computed field may use: the real columns and the
+// computed fields defined before it
+function getFormulaColumns(index) {
+    const defs = computedBySheet[activeSheet] || [];
+    const real = viewColumns.filter(column => !defs.some(def => def.name === column));
+    return real.concat(defs.slice(0, index === -1 ? defs.length : index).map(def => def.name));
+}
+
+// UI: The computed fields of the sheet with Edit/Remove buttons
+function renderComputedList() {
+    const defs = computedBySheet[activeSheet] || [];
+    computedList.innerHTML = '';
+    defs.forEach((def, index) => {
+        const item = document.createElement('li');
+        item.className = 'computed-item';
+        const name = document.createElement('strong');
+        name.textContent = def.name;
+        const formula = document.createElement('code');
+        formula.textContent = def.formula;
+        const formulaInfo = viewFormulas.find(compiled => compiled.name === def.name);
+        if (formulaInfo && !formulaInfo.tree) {
+            item.classList.add('broken');
+            formula.title = 'This formula uses a column that no longer exists';
+        }
+        item.appendChild(name);
+        item.appendChild(formula);
+        [['Edit', () => openComputedForm(index)], ['Remove', () => removeComputedField(index)]].forEach(([label, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = label === 'Remove' ? 'card-btn danger' : 'card-btn';
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            item.appendChild(button);
+        });
+        computedList.appendChild(item);
+    });
+}
+
+function openComputedForm(index) {
+    const def = index === -1 ? null : computedBySheet[activeSheet][index];
+    editingComputed = index;
+    computedNameInput.value = def ? def.name : '';
+    computedFormulaInput.value = def ? def.formula : '';
+    document.getElementById('computed-submit').textContent = def ? 'Save' : 'Add';
+    computedForm.style.display = '';
+    addComputedBtn.style.display = 'none';
+    updateComputedPreview();
+    computedNameInput.focus();
+}
+
+function closeComputedForm() {
+    computedForm.style.display = 'none';
+    addComputedBtn.style.display = '';
+    editingComputed = -1;
+}
+
+// Helper: Compile the formula in the form; shows the value for the first
+// row, or what is wrong. Returns the tree or null.
+function updateComputedPreview() {
+    const text = computedFormulaInput.value.trim();
+    computedPreview.classList.remove('error');
+    computedPreview.textContent = '';
+    if (!text) return null;
+    let tree;
+    try {
+        tree = compileFormula(text, getFormulaColumns(editingComputed));
+        if (excelData.length) {
+            const value = evaluateFormula(tree, excelData[0]);
+            computedPreview.textContent = `First row: ${isBlank(value) ? '(blank)' : String(value)}`;
         }
+    } catch (err) {
+        // A value that doesn't fit the first row still leaves a valid formula
+        computedPreview.classList.add('error');
+        computedPreview.textContent = tree ? `First row: ${err.message}` : err.message;
     }
-    return null;
+    return tree || null;
+}
+
+// Utility: Rename a field (or with `to` null, drop it) in a designer layout
+// and in the sheet's filters and sorting
+function renameLayoutField(layout, from, to) {
+    const rename = list => list.filter(field => to || field !== from).map(field => field === from ? to : field);
+    layout.fields = rename(layout.fields);
+    SINGLE_ROLES.forEach(role => {
+        if (layout.template[role] === from) layout.template[role] = to || '';
+    });
+    layout.template.hiddenLabels = rename(layout.template.hiddenLabels);
+    layout.template.twoColumn = rename(layout.template.twoColumn);
+    if (layout.display[from] && to) layout.display[to] = layout.display[from];
+    delete layout.display[from];
+    if (facetFilters[from] && to) facetFilters[to] = facetFilters[from];
+    delete facetFilters[from];
+    sortState.keys = sortState.keys
+        .filter(key => to || key.field !== from)
+        .map(key => key.field === from ? Object.assign({}, key, { field: to }) : key);
+    if (sortState.groupBy === from) sortState.groupBy = to || '';
+}
+
+// UI: Rebuild the rows with the changed computed fields and show the
+// designer again with its current layout
+function applyComputedChange(layout) {
+    fieldsBySheet[activeSheet] = layout.fields;
+    cardTemplate = layout.template;
+    templatesBySheet[activeSheet] = cardTemplate;
+    displayTypes = layout.display;
+    displayBySheet[activeSheet] = displayTypes;
+    delete searchIndexes[activeSheet];
+    registrationLookup = null;
+    const view = buildSheetView(activeSheet);
+    excelData = view.rows;
+    viewColumns = view.columns;
+    viewFormulas = view.formulas;
+    closeComputedForm();
+    showColumnSelection(viewColumns);
+    saveConfig();
+}
+
+function removeComputedField(index) {
+    const defs = computedBySheet[activeSheet];
+    const name = defs[index].name;
+    if (!confirm(`Remove the computed field "${name}"? Computed fields using it will be blank.`)) return;
+    const layout = readTemplateForm();
+    renameLayoutField(layout, name, null);
+    defs.splice(index, 1);
+    applyComputedChange(layout);
+}
+
+document.getElementById('computed-functions').textContent = Object.keys(FORMULA_FUNCTIONS).join(', ');
+addComputedBtn.addEventListener('click', () => openComputedForm(-1));
+document.getElementById('computed-cancel').addEventListener('click', closeComputedForm);
+computedFormulaInput.addEventListener('input', updateComputedPreview);
+computedForm.addEventListener('keydown', e => {
+    if (e.key === 'Escape') closeComputedForm();
+});
+
+computedForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const name = computedNameInput.value.trim();
+    const formula = computedFormulaInput.value.trim();
+    const defs = computedBySheet[activeSheet] || [];
+    const previous = editingComputed === -1 ? null : defs[editingComputed];
+    const taken = viewColumns.concat(SHEET_COLUMN)
+        .filter(column => !previous || column !== previous.name)
+        .some(column => column.toLowerCase() === name.toLowerCase());
+    if (taken) {
+        computedPreview.classList.add('error');
+        computedPreview.textContent = `There is already a field called "${name}".`;
+        return;
+    }
+    if (/[[\]]/.test(name)) {
+        computedPreview.classList.add('error');
+        computedPreview.textContent = 'Field names cannot contain [ or ].';
+        return;
+    }
+    if (!updateComputedPreview()) return;
+    const layout = readTemplateForm();
+    if (previous) {
+        if (previous.name !== name) {
+            renameLayoutField(layout, previous.name, name);
+            // Formulas using the field follow the new name
+            defs.forEach(def => {
+                def.formula = renameFormulaColumn(def.formula, previous.name, name);
+            });
+        }
+        defs[editingComputed] = { name, formula };
+    } else {
+        defs.push({ name, formula });
+        layout.fields.push(name);
+    }
+    computedBySheet[activeSheet] = defs;
+    applyComputedChange(layout);
+});
+
+// --- Sheet Picker ---
+const sheetSection = document.getElementById('sheet-select-section');
+const sheetSelect = document.getElementById('sheet-select');
+
+// Helper: Original column order of a sheet
+function getSheetColumns(name) {
+    return workbookColumns[name] || getColumns(workbookSheets[name] || []);
+}
+
+// Helper: Rows and columns for one sheet, or for every sheet together with a
+// SHEET_COLUMN telling which sheet each row came from, plus the sheet's
+// computed fields. Without either the stored rows are used as they are.
+function buildSheetView(sheetKey) {
+    const allSheets = sheetKey === ALL_SHEETS;
+    const names = allSheets ? sheetNames : [sheetKey];
+    const columns = allSheets ? [SHEET_COLUMN] : [];
+    names.forEach(name => {
+        getSheetColumns(name).forEach(column => {
+            if (!columns.includes(column)) columns.push(column);
+        });
+    });
+    const formulas = compileComputedFields(sheetKey, columns);
+    if (!allSheets && !formulas.length) {
+        return { rows: workbookSheets[sheetKey] || [], columns, formulas };
+    }
+    const rows = [];
+    names.forEach(name => {
+        (workbookSheets[name] || []).forEach(row => rows.push(createViewRow(name, row, formulas, allSheets)));
+    });
+    return { rows, columns: columns.concat(formulas.map(formula => formula.name)), formulas };
+}
+
+// Helper: Copy of a stored row for the view with the computed fields (and
+// the sheet name when browsing all sheets); edits go back to the stored row
+function createViewRow(sheet, row, formulas, withSheet) {
+    const viewRow = withSheet
+        ? Object.assign({ [SHEET_COLUMN]: sheet }, row, { [SHEET_COLUMN]: sheet })
+        : Object.assign({}, row);
+    rowSources.set(viewRow, { sheet, row });
+    applyComputedFields(viewRow, formulas);
+    return viewRow;
+}
+
+// UI: Fill the sheet dropdown; only shown for workbooks with several sheets
+function populateSheetPicker() {
+    sheetSelect.innerHTML = '';
+    sheetNames.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = `${name} (${(workbookSheets[name] || []).length} rows)`;
+        sheetSelect.appendChild(option);
+    });
+    if (sheetNames.length > 1) {
+        const option = document.createElement('option');
+        option.value = ALL_SHEETS;
+        option.textContent = 'All Sheets';
+        sheetSelect.appendChild(option);
+    }
+    sheetSection.style.display = sheetNames.length > 1 ? 'block' : 'none';
+}
+
+// UI: Switch to a sheet (or ALL_SHEETS). Uses the fields remembered for that
+// sheet, or asks for a selection when there are none or when forced.
+function selectSheet(sheetKey, forceSelection = false) {
+    activeSheet = sheetKey;
+    sheetSelect.value = sheetKey;
+    const view = buildSheetView(sheetKey);
+    excelData = view.rows;
+    viewColumns = view.columns;
+    viewFormulas = view.formulas;
+    // Computed values can depend on today's date, so their index is rebuilt
+    if (viewFormulas.length) delete searchIndexes[sheetKey];
+    searchInput.value = '';
+    noMatches.style.display = 'none';
+    if (!filtersBySheet[sheetKey]) filtersBySheet[sheetKey] = {};
+    facetFilters = filtersBySheet[sheetKey];
+    if (!sortBySheet[sheetKey]) sortBySheet[sheetKey] = { keys: [], groupBy: '' };
+    sortState = sortBySheet[sheetKey];
+    if (!displayBySheet[sheetKey]) displayBySheet[sheetKey] = {};
+    displayTypes = displayBySheet[sheetKey];
+    if (!templatesBySheet[sheetKey]) templatesBySheet[sheetKey] = createEmptyTemplate();
+    cardTemplate = templatesBySheet[sheetKey];
+    collapsedGroups.clear();
+    lookupInput.value = '';
+    refreshLookupFields();
+    refreshStatusKey();
+
+    const savedFields = (fieldsBySheet[sheetKey] || []).filter(field => view.columns.includes(field));
+    if (forceSelection || savedFields.length === 0) {
+        showColumnSelection(view.columns);
+    } else {
+        selectedFields = savedFields;
+        columnSection.style.display = 'none';
+        searchSection.style.display = '';
+        updateSearchFields(selectedFields);
+        renderCards(excelData, selectedFields);
+    }
+    saveConfig();
+}
+
+sheetSelect.addEventListener('change', function() {
+    selectSheet(this.value);
+});
+
+// --- Dataset Library ---
+const librarySection = document.getElementById('library-section');
+const libraryCount = document.getElementById('library-count');
+const datasetList = document.getElementById('dataset-list');
+
+// UI: Show a loaded dataset, restoring its sheet and field selections
+function applyDataset(meta, data, indexes = {}) {
+    currentDataset = meta;
+    searchIndexes = indexes;
+    workbookSheets = data.sheets;
+    sheetNames = data.sheetNames;
+    workbookColumns = data.columns || {};
+    workbookDateColumns = data.dateColumns || {};
+    restoreRowEdits(data.edits);
+    fieldsBySheet = (meta.config && meta.config.fields) || {};
+    filtersBySheet = (meta.config && meta.config.filters) || {};
+    sortBySheet = (meta.config && meta.config.sorting) || {};
+    displayBySheet = (meta.config && meta.config.display) || {};
+    templatesBySheet = (meta.config && meta.config.templates) || {};
+    statusKeysBySheet = (meta.config && meta.config.statusKeys) || {};
+    computedBySheet = (meta.config && meta.config.computed) || {};
+    validationRules = (meta.config && meta.config.rules) || {};
+    runValidation();
+    localStorage.setItem(ACTIVE_DATASET_KEY, meta.id);
+    fileError.textContent = '';
+    populateSheetPicker();
+    const savedSheet = meta.config && meta.config.activeSheet;
+    const validSheet = sheetNames.includes(savedSheet) ||
+        (savedSheet === ALL_SHEETS && sheetNames.length > 1);
+    selectSheet(validSheet ? savedSheet : sheetNames[0]);
+    updateUndoImportButton();
+}
+
+// UI: Clear everything shown for the current dataset
+function resetView() {
+    currentDataset = null;
+    excelData = [];
+    selectedFields = [];
+    workbookSheets = {};
+    workbookColumns = {};
+    workbookDateColumns = {};
+    viewColumns = [];
+    sheetNames = [];
+    fieldsBySheet = {};
+    filtersBySheet = {};
+    facetFilters = {};
+    sortBySheet = {};
+    sortState = { keys: [], groupBy: '' };
+    displayBySheet = {};
+    displayTypes = {};
+    templatesBySheet = {};
+    cardTemplate = createEmptyTemplate();
+    statusKeysBySheet = {};
+    statusKey = '';
+    computedBySheet = {};
+    viewFormulas = [];
+    statusFilter = '';
+    validationRules = {};
+    rowIssues = new WeakMap();
+    issuesOnly = false;
+    issueBase = [];
+    searchIndexes = {};
+    sheetSection.style.display = 'none';
+    columnSection.style.display = 'none';
+    searchSection.style.display = 'none';
+    filterPanel.style.display = 'none';
+    searchInput.value = '';
+    noMatches.style.display = 'none';
+    cardsSection.innerHTML = '';
+    windowGeneration++;
+    setLookupMode(false);
+    modeSwitch.style.display = 'none';
+    updateUndoImportButton();
+}
+
+async function openDataset(id) {
+    const meta = await loadDatasetMeta(id);
+    const data = await loadExcelFromDB(id);
+    if (!meta || !data) {
+        alert('This dataset could not be loaded.');
+        return;
+    }
+    applyDataset(meta, data, await loadSearchIndexes(id));
+    renderDatasetLibrary();
+}
+
+async function renameDataset(id) {
+    const meta = await loadDatasetMeta(id);
+    if (!meta) return;
+    const name = prompt('Rename dataset:', meta.name);
+    if (!name || !name.trim()) return;
+    const target = currentDataset && currentDataset.id === id ? currentDataset : meta;
+    const previous = target.name;
+    target.name = name.trim();
+    try {
+        await saveDatasetMeta(target);
+    } catch (err) {
+        target.name = previous;
+        alert(`The dataset could not be renamed: ${err.message}`);
+    }
+    renderDatasetLibrary();
+}
+
+async function deleteDataset(id) {
+    const meta = await loadDatasetMeta(id);
+    if (!meta || !confirm(`Delete "${meta.name}" from this device?`)) return;
+    await deleteExcelFromDB(id);
+    if (currentDataset && currentDataset.id === id) {
+        resetView();
+        localStorage.removeItem(ACTIVE_DATASET_KEY);
+    }
+    renderDatasetLibrary();
+}
+
+// UI: List saved datasets with open/rename/delete actions
+async function renderDatasetLibrary() {
+    const datasets = await loadDatasetList();
+    datasetList.innerHTML = '';
+    libraryCount.textContent = `(${datasets.length})`;
+    librarySection.style.display = datasets.length ? 'block' : 'none';
+    renderExpiryWarning(datasets);
+
+    datasets.forEach(meta => {
+        const item = document.createElement('li');
+        item.className = 'dataset-item';
+        const isActive = currentDataset && currentDataset.id === meta.id;
+        if (isActive) item.classList.add('active');
+
+        const info = document.createElement('div');
+        info.className = 'dataset-info';
+        const name = document.createElement('div');
+        name.className = 'dataset-name';
+        name.textContent = meta.name;
+        const details = document.createElement('div');
+        details.className = 'dataset-meta';
+        const sheetCount = meta.sheetNames.length;
+        details.textContent = `${meta.rowCount} rows · ${sheetCount} sheet${sheetCount === 1 ? '' : 's'} · ` +
+            `Uploaded ${new Date(meta.uploadedAt).toLocaleDateString()}`;
+        const expiry = document.createElement('div');
+        expiry.className = 'dataset-expiry';
+        expiry.classList.toggle('warning', isExpiringSoon(meta));
+        expiry.textContent = describeRetention(meta);
+        info.appendChild(name);
+        info.appendChild(details);
+        info.appendChild(expiry);
+
+        const actions = document.createElement('div');
+        actions.className = 'dataset-actions';
+        [
+            ['Open', () => openDataset(meta.id)],
+            ['Rename', () => renameDataset(meta.id)],
+            ['Delete', () => deleteDataset(meta.id)]
+        ].forEach(([label, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'dataset-btn';
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            if (label === 'Open' && isActive) button.disabled = true;
+            actions.appendChild(button);
+        });
+
+        item.appendChild(info);
+        item.appendChild(actions);
+        datasetList.appendChild(item);
+    });
+}
+
+// Helper: Detect if a field contains 'registratio' (case-insensitive, partial match, not requiring 'n' at the end)
+function isRegistrationField(fieldName) {
+    return fieldName.toLowerCase().includes('registratio');
+}
+
+// --- Registration Lookup ---
+// A lookup mode for finding one person by registration number in a column
+// detected with isRegistrationField. Matching is exact or normalized
+// (ignoring case, spaces and dashes); duplicate and missing numbers in the
+// column are listed so they can be fixed.
+const LOOKUP_ISSUE_ROWS = 20; // rows listed per issue before "and N more"
+const LOOKUP_ISSUE_GROUPS = 50; // duplicate numbers listed per "Show more"
+const modeSwitch = document.getElementById('mode-switch');
+const searchModeBtn = document.getElementById('search-mode-btn');
+const lookupModeBtn = document.getElementById('lookup-mode-btn');
+const lookupPanel = document.getElementById('lookup-panel');
+const lookupInput = document.getElementById('lookup-input');
+const lookupFieldSelect = document.getElementById('lookup-field');
+const lookupExact = document.getElementById('lookup-exact');
+const lookupResult = document.getElementById('lookup-result');
+const lookupIssues = document.getElementById('lookup-issues');
+const lookupIssuesSummary = document.getElementById('lookup-issues-summary');
+const lookupIssueList = document.getElementById('lookup-issue-list');
+let lookupMode = false;
+let registrationLookup = null; // { field, exact: Map, normalized: Map, missing: [rows], rowNumbers: Map }
+
+// Helper: Registration number without case, spaces and dashes
+function normalizeRegistration(value) {
+    return String(value).toLowerCase().replace(/[\s\-‐-―]+/g, '');
+}
+
+// Helper: Lookup maps (number -> rows) for the chosen column, built once per
+// data change
+function getRegistrationLookup() {
+    const field = lookupFieldSelect.value;
+    if (registrationLookup && registrationLookup.field === field) return registrationLookup;
+    const lookup = { field, exact: new Map(), normalized: new Map(), missing: [], rowNumbers: new Map() };
+    excelData.forEach((row, index) => {
+        lookup.rowNumbers.set(row, index + 1);
+        const value = row[field] == null ? '' : String(row[field]).trim();
+        if (!value) {
+            lookup.missing.push(row);
+            return;
+        }
+        [['exact', value], ['normalized', normalizeRegistration(value)]].forEach(([map, key]) => {
+            if (!lookup[map].has(key)) lookup[map].set(key, []);
+            lookup[map].get(key).push(row);
+        });
+    });
+    registrationLookup = lookup;
+    return lookup;
+}
+
+// UI: Offer lookup mode when the sheet has registration-like columns
+function refreshLookupFields() {
+    const fields = viewColumns.filter(isRegistrationField);
+    const current = lookupFieldSelect.value;
+    lookupFieldSelect.innerHTML = '';
+    fields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = field;
+        lookupFieldSelect.appendChild(option);
+    });
+    if (fields.includes(current)) lookupFieldSelect.value = current;
+    lookupFieldSelect.style.display = fields.length > 1 ? '' : 'none';
+    modeSwitch.style.display = fields.length ? '' : 'none';
+    registrationLookup = null;
+    if (!fields.length) {
+        setLookupMode(false);
+    } else if (lookupMode) {
+        runLookup();
+        renderLookupIssues();
+    }
+}
+
+// UI: Switch between the normal search and the lookup mode
+function setLookupMode(enabled) {
+    lookupMode = enabled;
+    document.body.classList.toggle('lookup-mode', enabled);
+    lookupPanel.style.display = enabled ? '' : 'none';
+    searchModeBtn.classList.toggle('active', !enabled);
+    lookupModeBtn.classList.toggle('active', enabled);
+    searchModeBtn.setAttribute('aria-selected', String(!enabled));
+    lookupModeBtn.setAttribute('aria-selected', String(enabled));
+    if (!enabled) return;
+    runLookup();
+    renderLookupIssues();
+    lookupInput.focus();
+}
+
+// UI: Show the row with the typed registration number as one large card
+function runLookup() {
+    lookupResult.innerHTML = '';
+    const text = lookupInput.value.trim();
+    if (!text) return;
+    const lookup = getRegistrationLookup();
+    const rows = lookupExact.checked
+        ? lookup.exact.get(text) || []
+        : lookup.normalized.get(normalizeRegistration(text)) || [];
+    if (!rows.length) {
+        const message = document.createElement('p');
+        message.className = 'lookup-message';
+        message.textContent = `No row has registration number "${text}".`;
+        lookupResult.appendChild(message);
+        return;
+    }
+    if (rows.length > 1) {
+        const warning = document.createElement('p');
+        warning.className = 'lookup-message warning';
+        warning.textContent = `Duplicate: ${rows.length} rows have this registration number. Showing the first.`;
+        lookupResult.appendChild(warning);
+        lookupResult.appendChild(createIssueRowLinks(rows.slice(1)));
+    }
+    const card = createCard(rows[0]);
+    card.classList.add('lookup-card');
+    lookupResult.appendChild(card);
+}
+
+// UI: Buttons that open rows in the detail view
+function createIssueRowLinks(rows) {
+    const rowNumbers = getRegistrationLookup().rowNumbers;
+    const list = document.createElement('div');
+    list.className = 'lookup-rows';
+    rows.slice(0, LOOKUP_ISSUE_ROWS).forEach(row => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'link-btn';
+        button.textContent = `Row ${rowNumbers.get(row)}`;
+        button.addEventListener('click', () => openDetail(row));
+        list.appendChild(button);
+    });
+    if (rows.length > LOOKUP_ISSUE_ROWS) {
+        const more = document.createElement('span');
+        more.textContent = `and ${rows.length - LOOKUP_ISSUE_ROWS} more`;
+        list.appendChild(more);
+    }
+    return list;
+}
+
+// UI: List duplicate and missing registration numbers of the column
+function renderLookupIssues() {
+    const lookup = getRegistrationLookup();
+    const map = lookupExact.checked ? lookup.exact : lookup.normalized;
+    const duplicates = Array.from(map.values()).filter(rows => rows.length > 1);
+    lookupIssueList.innerHTML = '';
+    if (!duplicates.length && !lookup.missing.length) {
+        lookupIssues.style.display = 'none';
+        return;
+    }
+    const parts = [];
+    if (duplicates.length) parts.push(`${duplicates.length} duplicate number${duplicates.length === 1 ? '' : 's'}`);
+    if (lookup.missing.length) parts.push(`${lookup.missing.length} row${lookup.missing.length === 1 ? '' : 's'} without a number`);
+    lookupIssuesSummary.textContent = `⚠ ${parts.join(' · ')}`;
+    lookupIssueList.appendChild(createDuplicateIssues(lookup, duplicates, 0));
+    if (lookup.missing.length) {
+        const item = document.createElement('div');
+        item.className = 'lookup-issue';
+        item.appendChild(document.createTextNode('No registration number: '));
+        item.appendChild(createIssueRowLinks(lookup.missing));
+        lookupIssueList.appendChild(item);
+    }
+    lookupIssues.style.display = '';
+}
+
+// UI: The duplicate numbers from start on, LOOKUP_ISSUE_GROUPS at a time
+// with a button that lists the next ones
+function createDuplicateIssues(lookup, duplicates, start) {
+    const fragment = document.createDocumentFragment();
+    duplicates.slice(start, start + LOOKUP_ISSUE_GROUPS).forEach(rows => {
+        const item = document.createElement('div');
+        item.className = 'lookup-issue';
+        const number = document.createElement('button');
+        number.type = 'button';
+        number.className = 'link-btn';
+        number.textContent = String(rows[0][lookup.field]).trim();
+        number.addEventListener('click', () => {
+            lookupInput.value = number.textContent;
+            runLookup();
+        });
+        item.appendChild(number);
+        item.appendChild(document.createTextNode(` on ${rows.length} rows: `));
+        item.appendChild(createIssueRowLinks(rows));
+        fragment.appendChild(item);
+    });
+    const rest = duplicates.length - start - LOOKUP_ISSUE_GROUPS;
+    if (rest > 0) {
+        const more = document.createElement('button');
+        more.type = 'button';
+        more.className = 'link-btn lookup-issue';
+        more.textContent = `and ${rest} more duplicate number${rest === 1 ? '' : 's'} – show more`;
+        more.addEventListener('click', () => {
+            more.replaceWith(createDuplicateIssues(lookup, duplicates, start + LOOKUP_ISSUE_GROUPS));
+        });
+        fragment.appendChild(more);
+    }
+    return fragment;
+}
+
+searchModeBtn.addEventListener('click', () => setLookupMode(false));
+lookupModeBtn.addEventListener('click', () => setLookupMode(true));
+lookupInput.addEventListener('input', runLookup);
+lookupExact.addEventListener('change', function() {
+    runLookup();
+    renderLookupIssues();
+});
+lookupFieldSelect.addEventListener('change', function() {
+    runLookup();
+    renderLookupIssues();
+});
+
+// --- Virtualized Card Rendering ---
+// Only the cards near the viewport are kept in the DOM; spacers above and
+// below stand in for the rest. The scrollable list grows by CARDS_PER_PAGE
+// items whenever its end comes into view (infinite scroll).
+const CARDS_PER_PAGE = 30;
+const CHUNK_SIZE = 10; // cards per rendering chunk
+const OVERSCAN_PX = 600; // render this far above and below the viewport
+const DEFAULT_CARD_HEIGHT = 160; // estimate until a card has been measured
+const DEFAULT_HEADER_HEIGHT = 48;
+let lastMatches = [];
+let lastMatchIndices = []; // positions of lastMatches in excelData
+let lastItems = []; // lastMatches as render items: { row } or { group, count } headers
+let lastFields = [];
+let lastSearchTerm = '';
+let lastHighlights = new Set(); // index words the search matched, marked in the cards
+let currentPage = 1; // number of CARDS_PER_PAGE blocks in the scrollable list
+let itemHeights = []; // measured height per item index, undefined until rendered
+let renderedItems = new Map(); // item index -> wrapper element in the DOM
+let parkedItems = new Map(); // item index -> wrapper with an open edit form, kept while out of view
+let topSpacer = null;
+let bottomSpacer = null;
+let cardEstimate = DEFAULT_CARD_HEIGHT;
+let headerEstimate = DEFAULT_HEADER_HEIGHT;
+let windowGeneration = 0; // bumped on every reset so stale chunks stop
+let windowUpdateFrame = null;
+const loadingSpinner = document.getElementById('loading-spinner');
+
+const loadingText = document.getElementById('loading-text');
+
+function showSpinner(show, text = '') {
+    if (loadingSpinner) loadingSpinner.style.display = show ? '' : 'none';
+    if (loadingText) loadingText.textContent = show ? text : '';
+}
+
+// Helper: Known or estimated height of an item
+function itemHeight(index) {
+    if (itemHeights[index] !== undefined) return itemHeights[index];
+    return lastItems[index].row ? cardEstimate : headerEstimate;
+}
+
+// Helper: Record the heights of the rendered items and refresh the estimates
+function measureRenderedItems() {
+    let cardTotal = 0;
+    let cardCount = 0;
+    let headerTotal = 0;
+    let headerCount = 0;
+    renderedItems.forEach((node, index) => {
+        const height = node.offsetHeight;
+        if (!height) return;
+        itemHeights[index] = height;
+        if (lastItems[index].row) {
+            cardTotal += height;
+            cardCount++;
+        } else {
+            headerTotal += height;
+            headerCount++;
+        }
+    });
+    if (cardCount) cardEstimate = cardTotal / cardCount;
+    if (headerCount) headerEstimate = headerTotal / headerCount;
+}
+
+// UI: Start a fresh card list for lastItems, keeping the scroll position
+function renderCardWindow() {
+    windowGeneration++;
+    cardsSection.querySelectorAll('.virtual-item, .virtual-spacer').forEach(node => node.remove());
+    renderedItems = new Map();
+    parkedItems = new Map();
+    itemHeights = new Array(lastItems.length);
+    topSpacer = document.createElement('div');
+    topSpacer.className = 'virtual-spacer';
+    bottomSpacer = document.createElement('div');
+    bottomSpacer.className = 'virtual-spacer';
+    cardsSection.appendChild(topSpacer);
+    cardsSection.appendChild(bottomSpacer);
+    updateCardWindow();
+}
+
+// UI: Work out which items are near the viewport, drop the others and
+// render the missing ones
+function updateCardWindow() {
+    if (!topSpacer || !topSpacer.isConnected) return;
+    measureRenderedItems();
+    const listTop = topSpacer.getBoundingClientRect().top + window.scrollY;
+    const viewTop = window.scrollY - listTop - OVERSCAN_PX;
+    const viewBottom = window.scrollY + window.innerHeight - listTop + OVERSCAN_PX;
+
+    let loaded;
+    let start;
+    let end;
+    let startOffset;
+    for (;;) {
+        loaded = Math.min(lastItems.length, currentPage * CARDS_PER_PAGE);
+        start = 0;
+        let offset = 0;
+        while (start < loaded && offset + itemHeight(start) < viewTop) {
+            offset += itemHeight(start);
+            start++;
+        }
+        startOffset = offset;
+        end = start;
+        while (end < loaded && offset < viewBottom) {
+            offset += itemHeight(end);
+            end++;
+        }
+        // Infinite scroll: the end of the list is in view, so extend it
+        if (end < loaded || loaded >= lastItems.length) break;
+        currentPage++;
+    }
+
+    let remaining = 0;
+    for (let i = end; i < loaded; i++) remaining += itemHeight(i);
+    renderedItems.forEach((node, index) => {
+        if (index < start || index >= end) {
+            // An open edit form is put back as it is, unsaved input included
+            if (node.querySelector('form.editing')) parkedItems.set(index, node);
+            node.remove();
+            renderedItems.delete(index);
+        }
+    });
+    topSpacer.style.height = `${startOffset}px`;
+    bottomSpacer.style.height = `${remaining}px`;
+    renderMissingItems(start, end);
+}
+
+// UI: Render the items in [start, end) that are not in the DOM yet, in
+// idle-time chunks, then re-check the window with the real heights
+function renderMissingItems(start, end) {
+    const missing = [];
+    for (let i = start; i < end; i++) {
+        if (!renderedItems.has(i)) missing.push(i);
+    }
+    if (!missing.length) {
+        showSpinner(false);
+        return;
+    }
+    showSpinner(true);
+    const generation = windowGeneration;
+    let pos = 0;
+    function renderChunk() {
+        if (generation !== windowGeneration) return;
+        const chunkEnd = Math.min(pos + CHUNK_SIZE, missing.length);
+        for (; pos < chunkEnd; pos++) {
+            const index = missing[pos];
+            if (renderedItems.has(index)) continue;
+            const item = lastItems[index];
+            let wrapper = parkedItems.get(index);
+            if (wrapper) {
+                parkedItems.delete(index);
+            } else {
+                wrapper = document.createElement('div');
+                wrapper.className = 'virtual-item';
+                wrapper.dataset.index = index;
+                wrapper.appendChild(item.row ? createCard(item.row) : createGroupHeader(item));
+            }
+            cardsSection.insertBefore(wrapper, nextRenderedItem(index) || bottomSpacer);
+            renderedItems.set(index, wrapper);
+        }
+        if (pos < missing.length) {
+            if (window.requestIdleCallback) {
+                requestIdleCallback(renderChunk);
+            } else {
+                requestAnimationFrame(renderChunk);
+            }
+        } else {
+            showSpinner(false);
+            scheduleCardWindowUpdate();
+        }
+    }
+    renderChunk();
+}
+
+// Helper: First rendered wrapper after an item index, to keep DOM order
+function nextRenderedItem(index) {
+    let next = null;
+    let nextIndex = Infinity;
+    renderedItems.forEach((node, i) => {
+        if (i > index && i < nextIndex) {
+            next = node;
+            nextIndex = i;
+        }
+    });
+    return next;
+}
+
+function scheduleCardWindowUpdate() {
+    if (windowUpdateFrame) return;
+    windowUpdateFrame = requestAnimationFrame(() => {
+        windowUpdateFrame = null;
+        updateCardWindow();
+    });
+}
+
+window.addEventListener('scroll', scheduleCardWindowUpdate, { passive: true });
+window.addEventListener('resize', scheduleCardWindowUpdate);
+
+let activeSearchId = null;
+
+// Utility: Search, filter and sort in the background, then show the results.
+// A newer search cancels the one still running. Resolves to true once the
+// results (or the query error) are shown, or to false when a newer search
+// took over.
+function renderCards(data, fields, searchTerm = '') {
+    if (activeSearchId !== null) cancelWorkerRequest(activeSearchId);
+    syncSearchData(data);
+    const search = workerRequest({
+        type: 'search',
+        request: {
+            query: searchTerm || '',
+            searchField: searchFieldSelect.value,
+            fields,
+            dateFields: fields.filter(isDateColumn),
+            filters: facetFilters,
+            sort: sortState
+        }
+    }, text => showSpinner(true, text));
+    activeSearchId = search.id;
+    return search.promise.then(result => {
+        activeSearchId = null;
+        showSearchError('');
+        showSearchResults(data, fields, searchTerm, result);
+        return true;
+    }, err => {
+        if (err.name === 'AbortError') return false;
+        activeSearchId = null;
+        // Keep the current cards on screen and explain what is wrong with the query
+        showSearchError(err.message);
+        showSpinner(false);
+        return true;
+    });
+}
+
+// UI: Show the rows a search returned (as indices into data)
+function showSearchResults(data, fields, searchTerm, result) {
+    cardsSection.innerHTML = '';
+    windowGeneration++;
+    const term = (searchTerm || '').trim();
+    
+    // Facet counts reflect the text search; the facets then narrow it further
+    if (result.facetKey !== facetDefsKey) {
+        facetDefsKey = result.facetKey;
+        facetDefs = result.facetDefs;
+        renderFacetPanel();
+    }
+    updateFacetCounts(result.facetCounts);
+    let indices = result.indices;
+    
+    // Status counts cover the search results; the status filter then narrows them
+    statusBase = indices.map(index => data[index]);
+    renderStatusSummary();
+    if (statusFilter) indices = indices.filter(index => getStatusValue(data[index]) === statusFilter);
+    issueBase = indices.map(index => data[index]);
+    renderIssueSummary();
+    if (issuesOnly) indices = indices.filter(index => getRowIssues(data[index]));
+    
+    const matches = indices.map(index => data[index]);
+    lastMatches = matches;
+    lastMatchIndices = indices;
+    scheduleSummaries();
+    lastItems = buildRenderItems(matches);
+    lastFields = fields;
+    lastSearchTerm = searchTerm;
+    lastHighlights = new Set(result.highlights);
+    if (!matches.length) {
+        noMatches.style.display = term || hasActiveFacets() || statusFilter || issuesOnly ? 'block' : 'none';
+        showSpinner(false);
+        return;
+    } else {
+        noMatches.style.display = 'none';
+    }
+    
+    currentPage = 1;
+    renderCardWindow();
+}
+
+// UI: Build the card for one row from the sheet's card template
+function createCard(row) {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.tabIndex = 0;
+    card.setAttribute('aria-label', 'Show all details');
+    appendCardFields(card, row, lastFields, cardTemplate, field => getDisplayType(field));
+    appendStatusMark(card, row);
+    appendRowIssues(card, row);
+    card.appendChild(createCardActions(card, row));
+    // Clicking a card (outside its buttons and links) opens the detail view
+    card.addEventListener('click', e => {
+        if (!e.target.closest('button, a, input, select')) openDetail(row);
+    });
+    card.addEventListener('keydown', e => {
+        if (e.key === 'Enter' && e.target === card) openDetail(row);
+    });
+    return card;
+}
+
+// UI: Append text, marking the words the search matched
+function appendHighlighted(parent, text) {
+    if (!lastHighlights.size) {
+        parent.appendChild(document.createTextNode(text));
+        return;
+    }
+    let last = 0;
+    for (const match of text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+        if (!lastHighlights.has(normalizeText(match[0]))) continue;
+        if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-hit';
+        mark.textContent = match[0];
+        parent.appendChild(mark);
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// --- Field Display Types ---
+// Cell values are always added as text nodes or attributes, never as HTML.
+// A field can be shown as a link, email, phone number, image, currency,
+// date or Yes/No badge; columns of Excel date serials show as dates unless
+// another type is chosen.
+const DISPLAY_TYPES = [
+    ['', 'Automatic'],
+    ['text', 'Plain text'],
+    ['link', 'Link'],
+    ['email', 'Email'],
+    ['phone', 'Phone'],
+    ['image', 'Image URL'],
+    ['currency', 'Currency'],
+    ['date', 'Date'],
+    ['boolean', 'Yes/No badge']
+];
+const CURRENCY_CODE = 'USD';
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', '✓', 'checked'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'unchecked'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{3,}$/;
+let displayTypes = {}; // field -> display type for the active sheet
+
+// Helper: Is a field a column of Excel date serials in the viewed sheet(s)
+function isDateColumn(field) {
+    const names = activeSheet === ALL_SHEETS ? sheetNames : [activeSheet];
+    return names.some(name => (workbookDateColumns[name] || []).includes(field));
+}
+
+function getDisplayType(field, types = displayTypes) {
+    return types[field] || (isDateColumn(field) ? 'date' : 'text');
+}
+
+// UI: Display type dropdown for a column in the column selection
+function createDisplayTypeSelect(column) {
+    const select = document.createElement('select');
+    select.className = 'display-type-select';
+    select.dataset.field = column;
+    select.setAttribute('aria-label', `Show ${column} as`);
+    DISPLAY_TYPES.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+    select.value = displayTypes[column] || '';
+    return select;
+}
+
+// Helper: http(s) URL for a link or image cell, or null when the text is
+// not a web address (so javascript: and other schemes never become links)
+function toWebUrl(text, allowDataImage = false) {
+    const value = text.trim();
+    if (allowDataImage && /^data:image\/(png|gif|jpe?g|webp);/i.test(value)) return value;
+    const candidate = /^[a-z][a-z\d+.-]*:/i.test(value) ? value : `https://${value}`;
+    try {
+        const url = new URL(candidate);
+        if ((url.protocol === 'http:' || url.protocol === 'https:') && url.hostname.includes('.')) return url.href;
+    } catch {
+        // Not a URL
+    }
+    return null;
+}
+
+// Helper: Excel date serial or Date as a local date string (with the time
+// when it has one); other values are returned as text
+function formatDateValue(value) {
+    if (typeof value !== 'number' && !(value instanceof Date)) return String(value);
+    const time = toTimestamp(value);
+    if (time === null) return String(value);
+    const hasTime = typeof value === 'number' && value % 1 !== 0;
+    return new Date(time).toLocaleString(undefined, {
+        timeZone: typeof value === 'number' ? 'UTC' : undefined,
+        dateStyle: 'medium',
+        timeStyle: hasTime ? 'short' : undefined
+    });
+}
+
+function formatCurrencyValue(value) {
+    const number = toNumber(value);
+    if (number === null) return String(value);
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: CURRENCY_CODE }).format(number);
+}
+
+// UI: Link element whose text keeps the search highlighting
+function createValueLink(href, text) {
+    const link = document.createElement('a');
+    link.href = href;
+    if (/^https?:/.test(href)) {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+    }
+    appendHighlighted(link, text);
+    return link;
+}
+
+// UI: Element for a link, email, phone, image or badge cell; null when the
+// field has another type or the value doesn't fit its type
+function createDisplayElement(type, field, value, text) {
+    switch (type) {
+        case 'link': {
+            const url = toWebUrl(text);
+            return url ? createValueLink(url, text) : null;
+        }
+        case 'email':
+            return EMAIL_PATTERN.test(text) ? createValueLink(`mailto:${text}`, text) : null;
+        case 'phone':
+            return PHONE_PATTERN.test(text) ? createValueLink(`tel:${text.replace(/[^\d+]/g, '')}`, text) : null;
+        case 'image': {
+            const url = toWebUrl(text, true);
+            if (!url) return null;
+            const img = document.createElement('img');
+            img.className = 'card-image';
+            img.src = url;
+            img.alt = field;
+            img.loading = 'lazy';
+            return img;
+        }
+        case 'boolean': {
+            const normalized = text.toLowerCase();
+            const yes = value === true || TRUE_VALUES.includes(normalized);
+            const no = value === false || FALSE_VALUES.includes(normalized);
+            if (!yes && !no) return null;
+            const badge = document.createElement('span');
+            badge.className = `value-badge ${yes ? 'yes' : 'no'}`;
+            badge.textContent = yes ? 'Yes' : 'No';
+            badge.title = text;
+            return badge;
+        }
+        default:
+            return null;
+    }
+}
+
+// UI: Append a cell value rendered for a display type
+function appendFieldValue(parent, field, value, type) {
+    if (isBlank(value)) return;
+    const element = createDisplayElement(type, field, value, String(value).trim());
+    if (element) {
+        parent.appendChild(element);
+    } else if (type === 'currency') {
+        appendHighlighted(parent, formatCurrencyValue(value));
+    } else if (type === 'date') {
+        appendHighlighted(parent, formatDateValue(value));
+    } else {
+        appendHighlighted(parent, String(value));
+    }
+}
+
+// --- Facet Filters ---
+const filterPanel = document.getElementById('filter-panel');
+const facetList = document.getElementById('facet-list');
+const filterCount = document.getElementById('filter-count');
+const clearFiltersBtn = document.getElementById('clear-filters');
+let facetFilters = {}; // field -> { values: [...] } or { type, min, max }
+let facetDefs = [];
+let facetDefsKey = null; // identifies the data and fields facetDefs were built for
+
+function hasActiveFacets() {
+    return facetDefs.some(def => facetFilters[def.field]);
+}
+
+// UI: Build the facet controls from facetDefs and the current filter state
+function renderFacetPanel() {
+    facetList.innerHTML = '';
+    filterPanel.style.display = facetDefs.length ? '' : 'none';
+    facetDefs.forEach(def => {
+        const filter = facetFilters[def.field];
+        const facet = document.createElement('fieldset');
+        facet.className = 'facet';
+        const legend = document.createElement('legend');
+        legend.className = 'facet-title';
+        legend.textContent = def.field;
+        facet.appendChild(legend);
+
+        if (def.kind === 'values') {
+            def.values.forEach(value => {
+                const label = document.createElement('label');
+                label.className = 'facet-option';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.field = def.field;
+                checkbox.value = value;
+                checkbox.checked = !!(filter && filter.values && filter.values.includes(value));
+                const text = document.createElement('span');
+                text.className = 'facet-label';
+                text.textContent = value;
+                const count = document.createElement('span');
+                count.className = 'facet-count';
+                label.appendChild(checkbox);
+                label.appendChild(text);
+                label.appendChild(count);
+                facet.appendChild(label);
+            });
+        } else {
+            const range = document.createElement('div');
+            range.className = 'facet-range';
+            ['min', 'max'].forEach(bound => {
+                const input = document.createElement('input');
+                input.type = def.type === 'date' ? 'date' : 'number';
+                input.step = 'any';
+                input.placeholder = bound === 'min' ? 'Min' : 'Max';
+                input.setAttribute('aria-label', `${def.field} ${bound === 'min' ? 'minimum' : 'maximum'}`);
+                input.dataset.field = def.field;
+                input.dataset.bound = bound;
+                input.dataset.type = def.type;
+                input.value = filter && filter[bound] ? filter[bound] : '';
+                range.appendChild(input);
+            });
+            facet.appendChild(range);
+        }
+        facetList.appendChild(facet);
+    });
+    updateFilterCount();
+}
+
+// UI: Show the checkbox counts for the rows matching the search and the
+// other facets; options with no rows left are dimmed
+function updateFacetCounts(counts) {
+    facetList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        const fieldCounts = counts[checkbox.dataset.field] || {};
+        const count = fieldCounts[checkbox.value] || 0;
+        const label = checkbox.parentNode;
+        label.querySelector('.facet-count').textContent = count;
+        label.classList.toggle('empty', count === 0);
+    });
+}
+
+function updateFilterCount() {
+    const active = facetDefs.filter(def => facetFilters[def.field]).length;
+    filterCount.textContent = active ? `(${active})` : '';
+    clearFiltersBtn.disabled = !active;
+}
+
+// UI: Re-run the current search and filters
+function refreshCards() {
+    renderCards(excelData, selectedFields, searchInput.value.trim());
+}
+
+facetList.addEventListener('change', function(e) {
+    const input = e.target;
+    const field = input.dataset.field;
+    if (!field) return;
+    if (input.type === 'checkbox') {
+        const values = (facetFilters[field] && facetFilters[field].values) || [];
+        const next = input.checked ? values.concat(input.value) : values.filter(v => v !== input.value);
+        if (next.length) {
+            facetFilters[field] = { values: next };
+        } else {
+            delete facetFilters[field];
+        }
+    } else {
+        const range = facetFilters[field] || { type: input.dataset.type, min: '', max: '' };
+        range[input.dataset.bound] = input.value;
+        if (range.min === '' && range.max === '') {
+            delete facetFilters[field];
+        } else {
+            facetFilters[field] = range;
+        }
+    }
+    updateFilterCount();
+    saveConfig();
+    refreshCards();
+});
+
+clearFiltersBtn.addEventListener('click', function() {
+    Object.keys(facetFilters).forEach(field => delete facetFilters[field]);
+    renderFacetPanel();
+    saveConfig();
+    refreshCards();
+});
+
+// --- Sorting and Grouping ---
+const sortKeysContainer = document.getElementById('sort-keys');
+const addSortKeyBtn = document.getElementById('add-sort-key');
+const groupBySelect = document.getElementById('group-by');
+let sortState = { keys: [], groupBy: '' };
+let collapsedGroups = new Set();
+
+// Utility: Turn sorted rows into render items, adding a header before each
+// group and leaving out the rows of collapsed groups
+function buildRenderItems(rows) {
+    if (!sortState.groupBy) return rows.map(row => ({ row }));
+    const items = [];
+    let current = null;
+    rows.forEach(row => {
+        const key = facetValue(row[sortState.groupBy]);
+        if (!current || current.group !== key) {
+            current = { group: key, count: 0 };
+            items.push(current);
+        }
+        current.count++;
+        if (!collapsedGroups.has(key)) items.push({ row });
+    });
+    return items;
+}
+
+// UI: Collapsible header shown above each group of cards
+function createGroupHeader(item) {
+    const collapsed = collapsedGroups.has(item.group);
+    const header = document.createElement('button');
+    header.type = 'button';
+    header.className = 'group-header';
+    header.setAttribute('aria-expanded', String(!collapsed));
+    header.textContent = `${collapsed ? '▸' : '▾'} ${sortState.groupBy}: ${item.group} (${item.count})`;
+    header.addEventListener('click', () => {
+        if (collapsed) {
+            collapsedGroups.delete(item.group);
+        } else {
+            collapsedGroups.add(item.group);
+        }
+        lastItems = buildRenderItems(lastMatches);
+        renderCardWindow();
+    });
+    return header;
+}
+
+// Helper: <select> with one option per field
+function createFieldSelect(fields, value, className) {
+    const select = document.createElement('select');
+    select.className = className;
+    fields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = field;
+        select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+}
+
+// UI: Render the sort key rows and the group-by dropdown
+function renderSortControls() {
+    sortKeysContainer.innerHTML = '';
+    sortState.keys.forEach((key, index) => {
+        const fields = selectedFields.includes(key.field) ? selectedFields : [key.field].concat(selectedFields);
+        const row = document.createElement('div');
+        row.className = 'sort-key';
+        row.dataset.index = index;
+
+        const fieldSelect = createFieldSelect(fields, key.field, 'sort-field');
+        fieldSelect.setAttribute('aria-label', `Sort field ${index + 1}`);
+        const dirSelect = document.createElement('select');
+        dirSelect.className = 'sort-dir';
+        dirSelect.setAttribute('aria-label', `Sort direction ${index + 1}`);
+        [['asc', 'Ascending'], ['desc', 'Descending']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            dirSelect.appendChild(option);
+        });
+        dirSelect.value = key.dir;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'sort-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove sort field';
+        removeBtn.setAttribute('aria-label', 'Remove sort field');
+
+        row.appendChild(fieldSelect);
+        row.appendChild(dirSelect);
+        row.appendChild(removeBtn);
+        sortKeysContainer.appendChild(row);
+    });
+    addSortKeyBtn.disabled = sortState.keys.length >= selectedFields.length;
+
+    groupBySelect.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'No grouping';
+    groupBySelect.appendChild(none);
+    selectedFields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = field;
+        groupBySelect.appendChild(option);
+    });
+    groupBySelect.value = selectedFields.includes(sortState.groupBy) ? sortState.groupBy : '';
+}
+
+// Helper: Persist the sort/group state and re-render
+function applySortChange() {
+    saveConfig();
+    refreshCards();
+}
+
+sortKeysContainer.addEventListener('change', function(e) {
+    const row = e.target.closest('.sort-key');
+    if (!row) return;
+    const key = sortState.keys[parseInt(row.dataset.index, 10)];
+    if (e.target.classList.contains('sort-field')) key.field = e.target.value;
+    if (e.target.classList.contains('sort-dir')) key.dir = e.target.value;
+    applySortChange();
+});
+
+sortKeysContainer.addEventListener('click', function(e) {
+    if (!e.target.classList.contains('sort-remove')) return;
+    const row = e.target.closest('.sort-key');
+    sortState.keys.splice(parseInt(row.dataset.index, 10), 1);
+    renderSortControls();
+    applySortChange();
+});
+
+addSortKeyBtn.addEventListener('click', function() {
+    const used = sortState.keys.map(key => key.field);
+    const field = selectedFields.find(f => !used.includes(f));
+    if (!field) return;
+    sortState.keys.push({ field, dir: 'asc' });
+    renderSortControls();
+    applySortChange();
+});
+
+groupBySelect.addEventListener('change', function() {
+    sortState.groupBy = this.value;
+    collapsedGroups.clear();
+    applySortChange();
+});
+
+// --- Column Statistics ---
+// A panel profiling every column of the current results (or all rows);
+// clicking a common value filters the cards by it.
+const statsPanel = document.getElementById('stats-panel');
+const statsScope = document.getElementById('stats-scope');
+const statsList = document.getElementById('stats-list');
+const TYPE_LABELS = { number: 'Number', date: 'Date', text: 'Text', empty: 'Empty' };
+
+function formatStatNumber(number) {
+    return number.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+const SUMMARY_DELAY_MS = 300; // statistics and pivot wait this long after the results
+let summaryTimer = null;
+let statsRequestId = null;
+
+// Helper: Update the open statistics and pivot panels once the results have
+// settled, so typing a search doesn't recompute them for every keystroke
+function scheduleSummaries() {
+    clearTimeout(summaryTimer);
+    summaryTimer = setTimeout(() => {
+        summaryTimer = null;
+        renderStatistics();
+        renderPivot();
+    }, SUMMARY_DELAY_MS);
+}
+
+// Helper: Drop pending statistics and pivot updates
+function cancelSummaries() {
+    clearTimeout(summaryTimer);
+    summaryTimer = null;
+    if (statsRequestId !== null) cancelWorkerRequest(statsRequestId);
+    statsRequestId = null;
+    if (pivotRequestId !== null) cancelWorkerRequest(pivotRequestId);
+    pivotRequestId = null;
+}
+
+// UI: Rebuild the statistics in the background while the panel is open
+function renderStatistics() {
+    if (statsRequestId !== null) cancelWorkerRequest(statsRequestId);
+    statsRequestId = null;
+    if (!statsPanel.open) return;
+    syncSearchData(excelData);
+    const profile = workerRequest({
+        type: 'profile',
+        version: searchDataVersion,
+        request: {
+            indices: statsScope.value === 'all' ? null : lastMatchIndices,
+            fields: viewColumns,
+            dateFields: viewColumns.filter(isDateColumn)
+        }
+    });
+    statsRequestId = profile.id;
+    profile.promise.then(profiles => {
+        if (statsRequestId !== profile.id) return;
+        statsRequestId = null;
+        if (!profiles) return; // the rows changed meanwhile
+        statsList.innerHTML = '';
+        profiles.forEach(item => statsList.appendChild(createStatsCard(item)));
+    }, err => {
+        if (statsRequestId !== profile.id) return;
+        statsRequestId = null;
+        statsList.textContent = `The statistics could not be worked out: ${err.message}`;
+    });
+}
+
+// UI: Statistics of one column
+function createStatsCard(profile) {
+    const card = document.createElement('div');
+    card.className = 'stats-card';
+    const title = document.createElement('h3');
+    title.className = 'stats-title';
+    title.textContent = profile.field;
+    const type = document.createElement('span');
+    type.className = 'stats-type';
+    type.textContent = TYPE_LABELS[profile.type];
+    title.appendChild(type);
+    card.appendChild(title);
+
+    const values = document.createElement('dl');
+    values.className = 'stats-values';
+    const addValue = (label, text) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const value = document.createElement('dd');
+        value.textContent = text;
+        values.appendChild(term);
+        values.appendChild(value);
+    };
+    const percent = profile.rows ? Math.round(profile.filled / profile.rows * 100) : 0;
+    addValue('Filled', `${percent}% (${profile.filled} of ${profile.rows})`);
+    addValue('Distinct', String(profile.distinct));
+    if (profile.numbers) {
+        addValue('Min', formatStatNumber(profile.numbers.min));
+        addValue('Max', formatStatNumber(profile.numbers.max));
+        addValue('Mean', formatStatNumber(profile.numbers.mean));
+        addValue('Sum', formatStatNumber(profile.numbers.sum));
+    }
+    if (profile.dates && profile.dates.first !== null) {
+        addValue('From', formatDateValue(profile.dates.first));
+        addValue('To', formatDateValue(profile.dates.last));
+        addValue('Span', `${profile.dates.days} day${profile.dates.days === 1 ? '' : 's'}`);
+    }
+    card.appendChild(values);
+
+    if (profile.top.length) {
+        const top = document.createElement('div');
+        top.className = 'stats-top';
+        profile.top.forEach(({ value, count }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'stats-value';
+            button.title = `Show only rows where ${profile.field} is "${value}"`;
+            const text = document.createElement('span');
+            text.className = 'stats-value-text';
+            // Date serials are shown as dates but filtered by their stored value
+            const serial = profile.type === 'date' ? toNumber(value) : null;
+            text.textContent = serial !== null ? formatDateValue(serial) : value;
+            const number = document.createElement('span');
+            number.className = 'facet-count';
+            number.textContent = count;
+            button.appendChild(text);
+            button.appendChild(number);
+            button.addEventListener('click', () => applyValueFilter(profile.field, value));
+            top.appendChild(button);
+        });
+        card.appendChild(top);
+    }
+    return card;
+}
+
+// UI: Filter the cards by a value: ticks it in the field's facet when there
+// is one, else adds an exact field=value condition to the search
+function applyValueFilter(field, value) {
+    const def = facetDefs.find(facet => facet.field === field && facet.kind === 'values');
+    if (def && def.values.includes(value)) {
+        facetFilters[field] = { values: [value] };
+        renderFacetPanel();
+        saveConfig();
+    } else {
+        const condition = buildExactQuery(value, [field]);
+        const query = searchInput.value.trim();
+        searchInput.value = query ? `(${query}) ${condition}` : condition;
+    }
+    refreshCards();
+}
+
+statsPanel.addEventListener('toggle', renderStatistics);
+statsScope.addEventListener('change', renderStatistics);
+
+// --- Pivot Tables and Charts ---
+// Count, sum or average by a row field (and optionally a column field) of
+// the current results or all rows, shown as a table and as a bar, line or
+// pie chart drawn here as SVG, so it works offline.
+const PIVOT_MAX_COLUMNS = 50; // more column values than this are not laid out
+const CHART_MAX_ROWS = 30; // categories drawn in a chart
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 320;
+const CHART_MARGIN = { top: 16, right: 16, bottom: 80, left: 64 };
+const CHART_COLORS = ['#2d7cff', '#f9a825', '#2e7d32', '#d32f2f', '#8e24aa', '#00838f', '#ef6c00', '#6d4c41', '#c2185b', '#546e7a'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const pivotPanel = document.getElementById('pivot-panel');
+const pivotRowsSelect = document.getElementById('pivot-rows');
+const pivotColumnsSelect = document.getElementById('pivot-columns');
+const pivotAggregateSelect = document.getElementById('pivot-aggregate');
+const pivotValueSelect = document.getElementById('pivot-value');
+const pivotDateGroupSelect = document.getElementById('pivot-date-group');
+const pivotScopeSelect = document.getElementById('pivot-scope');
+const pivotChartTypeSelect = document.getElementById('pivot-chart-type');
+const pivotMessage = document.getElementById('pivot-message');
+const pivotChart = document.getElementById('pivot-chart');
+const pivotTable = document.getElementById('pivot-table');
+let pivotColumnsKey = null; // columns the field dropdowns were filled for
+let lastPivot = null; // { options, pivot } shown, for the download
+let pivotRequestId = null;
+
+// Helper: Fill a dropdown with fields, keeping the choice when possible
+function fillFieldSelect(select, fields, emptyLabel) {
+    const current = select.value;
+    select.innerHTML = '';
+    if (emptyLabel) fields = [''].concat(fields);
+    fields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = field || emptyLabel;
+        select.appendChild(option);
+    });
+    if (fields.includes(current)) select.value = current;
+}
+
+// UI: Offer the columns of the sheet in the pivot dropdowns
+function updatePivotFields() {
+    const key = viewColumns.join('\u0001');
+    if (key === pivotColumnsKey) return;
+    pivotColumnsKey = key;
+    fillFieldSelect(pivotRowsSelect, viewColumns);
+    fillFieldSelect(pivotColumnsSelect, viewColumns, '(none)');
+    fillFieldSelect(pivotValueSelect, viewColumns.filter(field =>
+        !isDateColumn(field) && inferColumnType(excelData, field) === 'number'));
+}
+
+// UI: Rebuild the pivot table and chart in the background while the panel
+// is open
+function renderPivot() {
+    if (pivotRequestId !== null) cancelWorkerRequest(pivotRequestId);
+    pivotRequestId = null;
+    if (!pivotPanel.open) return;
+    updatePivotFields();
+    const aggregate = pivotAggregateSelect.value;
+    pivotValueSelect.disabled = aggregate === 'count';
+    const options = {
+        rowField: pivotRowsSelect.value,
+        columnField: pivotColumnsSelect.value,
+        valueField: pivotValueSelect.value,
+        aggregate
+    };
+    if (!options.rowField || (aggregate !== 'count' && !options.valueField)) {
+        showPivot(null, options);
+        pivotDateGroupSelect.disabled = true;
+        pivotMessage.textContent = options.rowField
+            ? 'This sheet has no number column to add up.'
+            : 'Nothing to summarise.';
+        return;
+    }
+    syncSearchData(excelData);
+    const request = workerRequest({
+        type: 'pivot',
+        version: searchDataVersion,
+        request: {
+            indices: pivotScopeSelect.value === 'all' ? null : lastMatchIndices,
+            options,
+            dateFields: viewColumns.filter(isDateColumn),
+            dateGroup: pivotDateGroupSelect.value
+        }
+    });
+    pivotRequestId = request.id;
+    request.promise.then(result => {
+        if (pivotRequestId !== request.id) return;
+        pivotRequestId = null;
+        if (result) showPivot(result, options);
+    }, err => {
+        if (pivotRequestId !== request.id) return;
+        pivotRequestId = null;
+        showPivot(null, options);
+        pivotMessage.textContent = `The pivot table could not be worked out: ${err.message}`;
+    });
+}
+
+// UI: Show a pivot the worker built (or clear the table and chart for null)
+function showPivot(result, options) {
+    pivotChart.innerHTML = '';
+    pivotTable.innerHTML = '';
+    lastPivot = null;
+    if (!result) return;
+    options = Object.assign({}, options, { dateGroups: result.dateGroups });
+    pivotDateGroupSelect.disabled = !Object.keys(result.dateGroups).length;
+    const pivot = result.pivot;
+    if (pivot.columnKeys.length > PIVOT_MAX_COLUMNS) {
+        pivotMessage.textContent = `${options.columnField} has ${pivot.columnKeys.length} different values; pick a column field with at most ${PIVOT_MAX_COLUMNS}.`;
+        return;
+    }
+    lastPivot = { options, pivot };
+    const notes = [`${result.rowCount} rows`];
+    if (pivot.rowKeys.length > CHART_MAX_ROWS) notes.push(`the chart shows the first ${CHART_MAX_ROWS} of ${pivot.rowKeys.length} groups`);
+    pivotMessage.textContent = notes.join('; ');
+    renderPivotTable(pivot, options);
+    renderPivotChart(pivot, options);
+}
+
+// Helper: A pivot value as shown in the table and chart labels
+function formatPivotValue(value) {
+    return value === null ? '' : formatStatNumber(value);
+}
+
+// UI: The pivot as a table with row and column totals
+function renderPivotTable(pivot, options) {
+    const hasColumns = !!options.columnField;
+    const head = pivotTable.createTHead().insertRow();
+    const corner = document.createElement('th');
+    corner.textContent = hasColumns ? `${options.rowField} / ${options.columnField}` : options.rowField;
+    head.appendChild(corner);
+    (hasColumns ? pivot.columnKeys : []).concat('Total').forEach(key => {
+        const th = document.createElement('th');
+        th.textContent = key;
+        head.appendChild(th);
+    });
+    const body = pivotTable.createTBody();
+    pivot.rowKeys.forEach((rowKey, i) => {
+        const tr = body.insertRow();
+        const th = document.createElement('th');
+        th.textContent = rowKey;
+        tr.appendChild(th);
+        (hasColumns ? pivot.values[i] : []).concat(pivot.rowTotals[i]).forEach(value => {
+            tr.insertCell().textContent = formatPivotValue(value);
+        });
+    });
+    const foot = pivotTable.createTFoot().insertRow();
+    const label = document.createElement('th');
+    label.textContent = 'Total';
+    foot.appendChild(label);
+    (hasColumns ? pivot.columnTotals : []).concat(pivot.total).forEach(value => {
+        foot.insertCell().textContent = formatPivotValue(value);
+    });
+}
+
+function svgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+    return element;
+}
+
+// Helper: Chart series: one per column value, or the row totals
+function getChartSeries(pivot, options) {
+    const rowCount = Math.min(pivot.rowKeys.length, CHART_MAX_ROWS);
+    if (!options.columnField) {
+        return [{ name: 'Total', values: pivot.rowTotals.slice(0, rowCount) }];
+    }
+    return pivot.columnKeys.slice(0, CHART_COLORS.length).map((name, column) => ({
+        name,
+        values: pivot.values.slice(0, rowCount).map(row => row[column])
+    }));
+}
+
+// UI: Draw the chart type picked, with a legend
+function renderPivotChart(pivot, options) {
+    const type = pivotChartTypeSelect.value;
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+        role: 'img',
+        'aria-label': `${pivotAggregateSelect.selectedOptions[0].textContent} by ${options.rowField}`
+    });
+    let legend;
+    if (type === 'pie') {
+        legend = drawPieChart(svg, pivot);
+    } else {
+        const series = getChartSeries(pivot, options);
+        drawAxisChart(svg, pivot.rowKeys.slice(0, CHART_MAX_ROWS), series, type);
+        legend = options.columnField ? series.map(item => item.name) : [];
+        if (pivot.columnKeys.length > CHART_COLORS.length) {
+            legend.push(`(${pivot.columnKeys.length - CHART_COLORS.length} more not drawn)`);
+        }
+    }
+    pivotChart.appendChild(svg);
+    if (!legend.length) return;
+    const list = document.createElement('ul');
+    list.className = 'chart-legend';
+    legend.forEach((name, i) => {
+        const item = document.createElement('li');
+        if (i < CHART_COLORS.length) {
+            const swatch = document.createElement('span');
+            swatch.className = 'chart-swatch';
+            swatch.style.background = CHART_COLORS[i];
+            item.appendChild(swatch);
+        }
+        item.appendChild(document.createTextNode(name));
+        list.appendChild(item);
+    });
+    pivotChart.appendChild(list);
+}
+
+// UI: Bar or line chart of the series over the categories
+function drawAxisChart(svg, categories, series, type) {
+    const width = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const height = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const values = series.flatMap(item => item.values).filter(value => value !== null);
+    const max = Math.max(0, ...values);
+    const min = Math.min(0, ...values);
+    const span = max - min || 1;
+    const y = value => CHART_MARGIN.top + height - (value - min) / span * height;
+    const band = width / Math.max(categories.length, 1);
+
+    // Value axis with five gridlines
+    for (let i = 0; i <= 4; i++) {
+        const value = min + span * i / 4;
+        svg.appendChild(svgElement('line', {
+            x1: CHART_MARGIN.left, x2: CHART_MARGIN.left + width, y1: y(value), y2: y(value), class: 'chart-grid'
+        }));
+        const label = svgElement('text', { x: CHART_MARGIN.left - 6, y: y(value) + 4, 'text-anchor': 'end', class: 'chart-label' });
+        label.textContent = formatStatNumber(value);
+        svg.appendChild(label);
+    }
+    // Category labels, slanted so long names fit
+    categories.forEach((category, i) => {
+        const x = CHART_MARGIN.left + band * (i + 0.5);
+        const labelY = CHART_MARGIN.top + height + 14;
+        const label = svgElement('text', {
+            x, y: labelY, 'text-anchor': 'end', class: 'chart-label', transform: `rotate(-35 ${x} ${labelY})`
+        });
+        label.textContent = category.length > 14 ? `${category.slice(0, 13)}…` : category;
+        const title = svgElement('title');
+        title.textContent = category;
+        label.appendChild(title);
+        svg.appendChild(label);
+    });
+
+    series.forEach((item, s) => {
+        const color = CHART_COLORS[s % CHART_COLORS.length];
+        if (type === 'line') {
+            const points = item.values
+                .map((value, i) => value === null ? null : `${CHART_MARGIN.left + band * (i + 0.5)},${y(value)}`)
+                .filter(Boolean);
+            svg.appendChild(svgElement('polyline', { points: points.join(' '), fill: 'none', stroke: color, 'stroke-width': 2 }));
+            return;
+        }
+        const barWidth = band * 0.8 / series.length;
+        item.values.forEach((value, i) => {
+            if (value === null) return;
+            const bar = svgElement('rect', {
+                x: CHART_MARGIN.left + band * (i + 0.1) + barWidth * s,
+                y: Math.min(y(value), y(0)),
+                width: Math.max(barWidth, 1),
+                height: Math.abs(y(value) - y(0)),
+                fill: color
+            });
+            const title = svgElement('title');
+            title.textContent = `${categories[i]}${series.length > 1 ? ` / ${item.name}` : ''}: ${formatPivotValue(value)}`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+    });
+}
+
+// UI: Pie chart of the row totals; returns the legend entries
+function drawPieChart(svg, pivot) {
+    const slices = pivot.rowKeys
+        .map((name, i) => ({ name, value: pivot.rowTotals[i] }))
+        .filter(slice => slice.value > 0);
+    const shown = slices.slice(0, CHART_COLORS.length - 1);
+    const rest = slices.slice(CHART_COLORS.length - 1).reduce((sum, slice) => sum + slice.value, 0);
+    if (rest > 0) shown.push({ name: 'Other', value: rest });
+    const total = shown.reduce((sum, slice) => sum + slice.value, 0);
+    const cx = CHART_WIDTH / 2;
+    const cy = CHART_HEIGHT / 2;
+    const radius = CHART_HEIGHT / 2 - 16;
+    let angle = -Math.PI / 2;
+    shown.forEach((slice, i) => {
+        const sweep = slice.value / total * Math.PI * 2;
+        const title = svgElement('title');
+        title.textContent = `${slice.name}: ${formatPivotValue(slice.value)} (${Math.round(slice.value / total * 100)}%)`;
+        let shape;
+        if (shown.length === 1) {
+            shape = svgElement('circle', { cx, cy, r: radius, fill: CHART_COLORS[i] });
+        } else {
+            const end = angle + sweep;
+            const point = a => `${cx + radius * Math.cos(a)} ${cy + radius * Math.sin(a)}`;
+            shape = svgElement('path', {
+                d: `M ${cx} ${cy} L ${point(angle)} A ${radius} ${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(end)} Z`,
+                fill: CHART_COLORS[i]
+            });
+            angle = end;
+        }
+        shape.appendChild(title);
+        svg.appendChild(shape);
+    });
+    return shown.map(slice => `${slice.name} (${formatPivotValue(slice.value)})`);
+}
+
+// Utility: Download the pivot table shown as an .xlsx file
+function exportPivot() {
+    if (!lastPivot) {
+        alert('There is no pivot table to download.');
+        return;
+    }
+    const { options, pivot } = lastPivot;
+    const hasColumns = !!options.columnField;
+    const header = [hasColumns ? `${options.rowField} / ${options.columnField}` : options.rowField]
+        .concat(hasColumns ? pivot.columnKeys : [], 'Total');
+    const rows = pivot.rowKeys.map((key, i) => [key].concat(hasColumns ? pivot.values[i] : [], pivot.rowTotals[i]));
+    rows.push(['Total'].concat(hasColumns ? pivot.columnTotals : [], pivot.total));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header].concat(rows)), 'Pivot');
+    XLSX.writeFile(workbook, downloadName('xlsx', '-pivot'));
+}
+
+pivotPanel.addEventListener('toggle', renderPivot);
+[pivotRowsSelect, pivotColumnsSelect, pivotAggregateSelect, pivotValueSelect, pivotDateGroupSelect, pivotScopeSelect, pivotChartTypeSelect]
+    .forEach(select => select.addEventListener('change', renderPivot));
+document.getElementById('pivot-export').addEventListener('click', exportPivot);
+
+// --- Row Editing and Workbook Download ---
+const addRowBtn = document.getElementById('add-row-btn');
+const downloadXlsxBtn = document.getElementById('download-xlsx-btn');
+const downloadCsvBtn = document.getElementById('download-csv-btn');
+const rowSources = new WeakMap(); // "All Sheets" view row -> { sheet, row } it was copied from
+const rowEdits = new WeakMap(); // stored row -> true if added here, else Set of fields edited here
+let editFormCount = 0; // numbers the edit forms so their input ids are unique
+
+// Helper: The sheet and stored row behind a row of excelData
+function getSourceRow(row) {
+    return rowSources.get(row) || { sheet: activeSheet, row };
+}
+
+// Helper: Make the next search pick up rows changed in place; the stored
+// search indexes are out of date and get rebuilt
+function invalidateDataCaches() {
+    searchDataDirty = true;
+    searchIndexes = {};
+    registrationLookup = null;
+    scanCodeLookup = null;
+}
+
+// Helper: Convert an edited input back to a cell value; numeric cells stay numbers
+function parseEditedValue(text, original) {
+    if (typeof original === 'number') {
+        const number = toNumber(text);
+        if (number !== null) return number;
+    }
+    return text;
+}
+
+// Utility: Persist the workbook after edits (new uploads are saved with
+// their field selection instead)
+async function saveEditedWorkbook() {
+    invalidateDataCaches();
+    if (lookupMode) renderLookupIssues();
+    if (currentDataset) await saveToStorage();
+}
+
+// UI: Edit/Delete buttons at the bottom of a card
+function createCardActions(card, row) {
+    const actions = document.createElement('div');
+    actions.className = 'card-actions';
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'card-btn';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => card.replaceWith(createEditCard(row)));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'card-btn danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteRow(row));
+    actions.appendChild(createStatusControls(card, row));
+    actions.appendChild(editBtn);
+    actions.appendChild(deleteBtn);
+    return actions;
+}
+
+// UI: Card with one input per displayed field. `row` is null for a new row.
+function createEditCard(row) {
+    const isNew = !row;
+    const form = document.createElement('form');
+    form.className = 'card editing';
+    const formId = ++editFormCount;
+    const fields = lastFields.filter(field => field !== SHEET_COLUMN && !isComputedField(field));
+    // Inputs have no name: a field like "submit" or "action" would shadow the
+    // form's own properties
+    const inputs = new Map(); // field -> input
+    fields.forEach((field, index) => {
+        const id = `edit-${formId}-${index}`;
+        const label = document.createElement('label');
+        label.className = 'edit-label';
+        label.htmlFor = id;
+        label.textContent = field;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = id;
+        input.className = 'edit-input';
+        input.value = isNew || isBlank(row[field]) ? '' : String(row[field]);
+        form.appendChild(label);
+        form.appendChild(input);
+        inputs.set(field, input);
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'card-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'card-btn';
+    saveBtn.textContent = isNew ? 'Add' : 'Save';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'card-btn secondary';
+    cancelBtn.textContent = 'Cancel';
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    form.appendChild(actions);
+
+    const cancel = () => {
+        if (isNew) {
+            form.remove();
+        } else {
+            form.replaceWith(createCard(row));
+        }
+    };
+    cancelBtn.addEventListener('click', cancel);
+    form.addEventListener('keydown', e => {
+        if (e.key === 'Escape') cancel();
+    });
+    form.addEventListener('submit', async e => {
+        e.preventDefault();
+        const values = {};
+        fields.forEach(field => {
+            values[field] = inputs.get(field).value;
+        });
+        if (isNew) {
+            addRow(values);
+            form.remove();
+        } else {
+            updateRow(row, values);
+            form.replaceWith(createCard(row));
+        }
+        try {
+            await saveEditedWorkbook();
+        } catch (err) {
+            alert(`The change could not be saved: ${err.message}`);
+        }
+        if (isNew) refreshCards();
+    });
+    setTimeout(() => {
+        const first = form.querySelector('input');
+        if (first) first.focus();
+    }, 0);
+    return form;
+}
+
+// Utility: Write edited values to a row and to the stored row it came from
+function updateRow(row, values) {
+    const source = getSourceRow(row);
+    Object.keys(values).forEach(field => {
+        const value = parseEditedValue(values[field], row[field]);
+        if (value !== row[field]) markEditedCell(source.row, field);
+        row[field] = value;
+        source.row[field] = value;
+    });
+    if (row !== source.row) applyComputedFields(row, viewFormulas);
+    runValidation();
+}
+
+// Helper: Remember a cell edited here, for "Keep local edits" on re-import
+function markEditedCell(row, field) {
+    const edit = rowEdits.get(row);
+    if (edit === true) return;
+    if (edit) {
+        edit.add(field);
+    } else {
+        rowEdits.set(row, new Set([field]));
+    }
+}
+
+function isEditedCell(row, field) {
+    const edit = rowEdits.get(row);
+    return edit === true || (!!edit && edit.has(field));
+}
+
+function isEditedRow(row) {
+    const edit = rowEdits.get(row);
+    return edit === true || (!!edit && edit.size > 0);
+}
+
+// Helper: Local edits as { sheet: { row index: true | [fields] } }, saved
+// with the workbook
+function collectRowEdits() {
+    const edits = {};
+    sheetNames.forEach(name => {
+        (workbookSheets[name] || []).forEach((row, index) => {
+            if (!isEditedRow(row)) return;
+            if (!edits[name]) edits[name] = {};
+            const edit = rowEdits.get(row);
+            edits[name][index] = edit === true ? true : Array.from(edit);
+        });
+    });
+    return edits;
+}
+
+function restoreRowEdits(edits = {}) {
+    Object.keys(edits).forEach(name => {
+        const rows = workbookSheets[name] || [];
+        Object.keys(edits[name]).forEach(index => {
+            const edit = edits[name][index];
+            if (rows[index]) rowEdits.set(rows[index], edit === true ? true : new Set(edit));
+        });
+    });
+}
+
+// Utility: Append a row to the active sheet with every column present
+function addRow(values) {
+    const row = {};
+    getSheetColumns(activeSheet).forEach(column => {
+        row[column] = values[column] !== undefined ? values[column] : '';
+    });
+    workbookSheets[activeSheet].push(row);
+    rowEdits.set(row, true);
+    if (excelData !== workbookSheets[activeSheet]) excelData.push(createViewRow(activeSheet, row, viewFormulas, false));
+    runValidation();
+}
+
+async function deleteRow(row) {
+    if (!confirm('Delete this row?')) return;
+    const source = getSourceRow(row);
+    const sheetRows = workbookSheets[source.sheet];
+    sheetRows.splice(sheetRows.indexOf(source.row), 1);
+    if (excelData !== sheetRows) excelData.splice(excelData.indexOf(row), 1);
+    runValidation();
+    try {
+        await saveEditedWorkbook();
+    } catch (err) {
+        alert(`The row was removed here but could not be saved: ${err.message}`);
+    }
+    refreshCards();
+}
+
+// Helper: Safe download file name based on the dataset name
+function downloadName(extension, suffix = '') {
+    const base = (currentDataset ? currentDataset.name : pendingDatasetName) || 'data';
+    return `${base.replace(/[\\/:*?"<>|]+/g, '_')}${suffix}.${extension}`;
+}
+
+// Utility: Worksheet from rows with the given column order first
+function rowsToWorksheet(rows, columns) {
+    return XLSX.utils.json_to_sheet(rows, { header: columns });
+}
+
+addRowBtn.addEventListener('click', function() {
+    if (activeSheet === ALL_SHEETS) {
+        alert('Select a single sheet to add rows.');
+        return;
+    }
+    const existing = cardsSection.querySelector('form.card.editing.new-row');
+    if (existing) {
+        existing.querySelector('input').focus();
+        return;
+    }
+    const form = createEditCard(null);
+    form.classList.add('new-row');
+    // At the top of the cards in view, below the space of the cards above
+    const listStart = topSpacer && topSpacer.isConnected ? topSpacer.nextSibling : cardsSection.firstChild;
+    cardsSection.insertBefore(form, listStart);
+});
+
+// Download every sheet, keeping the original column order
+downloadXlsxBtn.addEventListener('click', function() {
+    const workbook = XLSX.utils.book_new();
+    sheetNames.forEach(name => {
+        XLSX.utils.book_append_sheet(workbook, rowsToWorksheet(workbookSheets[name], getSheetColumns(name)), name);
+    });
+    XLSX.writeFile(workbook, downloadName('xlsx'));
+});
+
+// Download the sheet being viewed ("All Sheets" includes the Sheet column)
+downloadCsvBtn.addEventListener('click', function() {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, rowsToWorksheet(excelData, viewColumns), 'Sheet1');
+    XLSX.writeFile(workbook, downloadName('csv'), { bookType: 'csv' });
+});
+
+// --- Re-import with Diff ---
+// An updated copy of the file is compared with the open dataset, sheet by
+// sheet, pairing rows by a key column (see diffSheetRows). The changes can
+// replace the data, be merged into it, or be applied around local edits.
+// The version before the import is saved so it can be restored once.
+const DIFF_LIST_LIMIT = 100; // entries listed per kind of change
+const updateFileInput = document.getElementById('update-file');
+const undoImportBtn = document.getElementById('undo-import-btn');
+const diffView = document.getElementById('diff-view');
+const diffSheetSelect = document.getElementById('diff-sheet');
+const diffKeySelect = document.getElementById('diff-key');
+const diffSummary = document.getElementById('diff-summary');
+const diffList = document.getElementById('diff-list');
+let pendingUpdate = null; // { workbook, fileName, keys: { sheet -> key column } }
+
+// Helper: Storage key of a dataset's version before the last import
+function previousVersionKey(id) {
+    return `${id}#previous`;
+}
+
+// Helper: Columns of a sheet in either version
+function getDiffColumns(name) {
+    const update = pendingUpdate.workbook;
+    const columns = getSheetColumns(name).slice();
+    (update.columns[name] || getColumns(update.sheets[name] || [])).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+    });
+    return columns;
+}
+
+// Helper: Key column for a sheet: the one picked, else the status key
+// column, a registration column or the first column
+function getDiffKey(name) {
+    const columns = getDiffColumns(name);
+    const candidates = [pendingUpdate.keys[name], statusKeysBySheet[name], columns.find(isRegistrationField)];
+    return candidates.find(column => column && columns.includes(column)) || columns[0] || '';
+}
+
+// Helper: Short text naming a row by its key
+function describeDiffRow(row, key) {
+    return isBlank(row[key]) ? `(no ${key})` : `${key}: ${row[key]}`;
+}
+
+function openDiffView(workbook, fileName) {
+    // A single-sheet file updates a single-sheet dataset whatever the sheet is called
+    if (workbook.sheetNames.length === 1 && sheetNames.length === 1 && workbook.sheetNames[0] !== sheetNames[0]) {
+        const from = workbook.sheetNames[0];
+        const to = sheetNames[0];
+        workbook = {
+            sheetNames: [to],
+            sheets: { [to]: workbook.sheets[from] },
+            columns: { [to]: workbook.columns[from] },
+            dateColumns: { [to]: workbook.dateColumns[from] || [] }
+        };
+    }
+    pendingUpdate = { workbook, fileName, keys: {} };
+    diffSheetSelect.innerHTML = '';
+    sheetNames.concat(workbook.sheetNames.filter(name => !sheetNames.includes(name))).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = !sheetNames.includes(name)
+            ? `${name} (new)`
+            : workbook.sheets[name] ? name : `${name} (not in the update)`;
+        diffSheetSelect.appendChild(option);
+    });
+    diffSheetSelect.value = sheetNames.includes(activeSheet) ? activeSheet : diffSheetSelect.options[0].value;
+    diffSheetSelect.parentElement.style.display = diffSheetSelect.options.length > 1 ? '' : 'none';
+    renderDiff();
+    diffView.style.display = 'flex';
+    document.getElementById('diff-close').focus();
+}
+
+function closeDiffView() {
+    diffView.style.display = 'none';
+    pendingUpdate = null;
+}
+
+// UI: Show the changes to the sheet picked in the diff view
+function renderDiff() {
+    const name = diffSheetSelect.value;
+    const oldRows = workbookSheets[name];
+    const newRows = pendingUpdate.workbook.sheets[name];
+    diffList.innerHTML = '';
+    diffKeySelect.innerHTML = '';
+    diffKeySelect.disabled = !oldRows || !newRows;
+    if (!oldRows) {
+        diffSummary.textContent = `This sheet is new: its ${newRows.length} rows will be added.`;
+        return;
+    }
+    if (!newRows) {
+        diffSummary.textContent = 'The update has no such sheet. Replace removes it; Merge and Keep Local Edits keep it.';
+        return;
+    }
+    const key = getDiffKey(name);
+    const columns = getDiffColumns(name);
+    columns.forEach(column => {
+        const option = document.createElement('option');
+        option.value = column;
+        option.textContent = column;
+        diffKeySelect.appendChild(option);
+    });
+    diffKeySelect.value = key;
+    const diff = diffSheetRows(oldRows, newRows, key, columns);
+    const parts = [
+        `${diff.added.length} added`,
+        `${diff.removed.length} removed`,
+        `${diff.changed.length} changed`,
+        `${diff.unchanged} unchanged`
+    ];
+    diffSummary.textContent = parts.join(' · ') +
+        (diff.duplicateKeys ? ` · ⚠ ${diff.duplicateKeys} ${key} values appear more than once (paired in order)` : '');
+    appendDiffGroup('Changed', diff.changed, change => createChangedEntry(change, key));
+    appendDiffGroup('Added', diff.added, row => createRowEntry('added', row, key, columns));
+    appendDiffGroup('Removed', diff.removed, row => createRowEntry('removed', row, key, columns));
+}
+
+// UI: One kind of change with up to DIFF_LIST_LIMIT entries
+function appendDiffGroup(title, items, createEntry) {
+    if (!items.length) return;
+    const heading = document.createElement('h3');
+    heading.className = 'diff-heading';
+    heading.textContent = `${title} (${items.length})`;
+    diffList.appendChild(heading);
+    items.slice(0, DIFF_LIST_LIMIT).forEach(item => diffList.appendChild(createEntry(item)));
+    if (items.length > DIFF_LIST_LIMIT) {
+        const more = document.createElement('p');
+        more.className = 'diff-more';
+        more.textContent = `and ${items.length - DIFF_LIST_LIMIT} more`;
+        diffList.appendChild(more);
+    }
+}
+
+// UI: A changed row with the old and new value of each changed cell
+function createChangedEntry(change, key) {
+    const entry = document.createElement('div');
+    entry.className = 'diff-row changed';
+    const title = document.createElement('strong');
+    title.textContent = describeDiffRow(change.newRow, key);
+    entry.appendChild(title);
+    change.fields.forEach(field => {
+        const line = document.createElement('div');
+        line.className = 'diff-cell';
+        line.appendChild(document.createTextNode(`${field}: `));
+        const oldValue = document.createElement('del');
+        oldValue.textContent = isBlank(change.oldRow[field]) ? '—' : String(change.oldRow[field]);
+        const newValue = document.createElement('ins');
+        newValue.textContent = isBlank(change.newRow[field]) ? '—' : String(change.newRow[field]);
+        line.appendChild(oldValue);
+        line.appendChild(document.createTextNode(' → '));
+        line.appendChild(newValue);
+        if (isEditedCell(change.oldRow, field)) {
+            const note = document.createElement('span');
+            note.className = 'diff-edited';
+            note.textContent = 'edited here';
+            line.appendChild(note);
+        }
+        entry.appendChild(line);
+    });
+    return entry;
+}
+
+// UI: An added or removed row with its first few values
+function createRowEntry(kind, row, key, columns) {
+    const entry = document.createElement('div');
+    entry.className = `diff-row ${kind}`;
+    const title = document.createElement('strong');
+    title.textContent = `${kind === 'added' ? '+' : '−'} ${describeDiffRow(row, key)}`;
+    entry.appendChild(title);
+    const preview = columns.filter(field => field !== key && !isBlank(row[field])).slice(0, 3)
+        .map(field => `${field}: ${row[field]}`).join(', ');
+    if (preview) entry.appendChild(document.createTextNode(` ${preview}`));
+    if (kind === 'removed' && isEditedRow(row)) {
+        const note = document.createElement('span');
+        note.className = 'diff-edited';
+        note.textContent = rowEdits.get(row) === true ? 'added here' : 'edited here';
+        entry.appendChild(note);
+    }
+    return entry;
+}
+
+// Utility: Apply the pending update ('replace', 'merge' or 'keep') after
+// saving the current version for undo
+async function applyUpdate(mode) {
+    const update = pendingUpdate.workbook;
+    const previous = structuredClone({
+        sheetNames,
+        sheets: workbookSheets,
+        columns: workbookColumns,
+        dateColumns: workbookDateColumns,
+        edits: collectRowEdits()
+    });
+    const names = mode === 'replace'
+        ? update.sheetNames.slice()
+        : sheetNames.concat(update.sheetNames.filter(name => !sheetNames.includes(name)));
+    const sheets = {};
+    const columns = {};
+    const dateColumns = {};
+    names.forEach(name => {
+        const oldRows = workbookSheets[name];
+        const newRows = update.sheets[name];
+        if (!newRows) {
+            sheets[name] = oldRows;
+            columns[name] = getSheetColumns(name);
+            dateColumns[name] = workbookDateColumns[name] || [];
+        } else if (!oldRows || mode === 'replace') {
+            sheets[name] = newRows;
+            columns[name] = update.columns[name] || getColumns(newRows);
+            dateColumns[name] = update.dateColumns[name] || [];
+        } else {
+            const diffColumns = getDiffColumns(name);
+            sheets[name] = mergeSheetRows(oldRows, diffSheetRows(oldRows, newRows, getDiffKey(name), diffColumns), mode, rowEdits);
+            columns[name] = diffColumns;
+            dateColumns[name] = Array.from(new Set((workbookDateColumns[name] || []).concat(update.dateColumns[name] || [])));
+        }
+    });
+    const fileName = pendingUpdate.fileName;
+    closeDiffView();
+
+    await saveExcelToDB(previousVersionKey(currentDataset.id), previous);
+    currentDataset.previousVersion = { fileName, importedAt: Date.now() };
+    workbookSheets = sheets;
+    sheetNames = names;
+    workbookColumns = columns;
+    workbookDateColumns = dateColumns;
+    await showUpdatedWorkbook();
+}
+
+// UI: Show and save the workbook after an import or undo
+async function showUpdatedWorkbook() {
+    invalidateDataCaches();
+    runValidation();
+    populateSheetPicker();
+    const keepSheet = sheetNames.includes(activeSheet) || (activeSheet === ALL_SHEETS && sheetNames.length > 1);
+    selectSheet(keepSheet ? activeSheet : sheetNames[0]);
+    await saveToStorage();
+    updateUndoImportButton();
+}
+
+// Utility: Go back to the version saved before the last import
+async function undoImport() {
+    const info = currentDataset && currentDataset.previousVersion;
+    if (!info) return;
+    if (!confirm(`Undo the import of "${info.fileName}"? Changes made since then are lost.`)) return;
+    const previous = await loadExcelFromDB(previousVersionKey(currentDataset.id));
+    delete currentDataset.previousVersion;
+    if (!previous) {
+        alert('The previous version is no longer stored.');
+        updateUndoImportButton();
+        return;
+    }
+    workbookSheets = previous.sheets;
+    sheetNames = previous.sheetNames;
+    workbookColumns = previous.columns || {};
+    workbookDateColumns = previous.dateColumns || {};
+    restoreRowEdits(previous.edits);
+    await storeRequest(DB_STORE, 'readwrite', store => store.delete(previousVersionKey(currentDataset.id)));
+    await showUpdatedWorkbook();
+}
+
+function updateUndoImportButton() {
+    const info = currentDataset && currentDataset.previousVersion;
+    undoImportBtn.style.display = info ? '' : 'none';
+    undoImportBtn.textContent = info ? `Undo Import of ${info.fileName}` : 'Undo Import';
+}
+
+updateFileInput.addEventListener('change', async function() {
+    const file = updateFileInput.files[0];
+    updateFileInput.value = '';
+    if (!file) return;
+    if (!detectFileFormat(file.name)) {
+        alert('Please choose a .xlsx, .xls, .ods, .csv, .tsv or .json file.');
+        return;
+    }
+    if (!currentDataset) await saveToStorage();
+    parseFile(file, (err, workbook) => {
+        if (err) {
+            alert(`Failed to read the update: ${err.message}`);
+        } else if (!workbook.sheetNames.some(name => workbook.sheets[name].length)) {
+            alert('The update is empty.');
+        } else {
+            openDiffView(workbook, file.name);
+        }
+    });
+});
+
+diffSheetSelect.addEventListener('change', renderDiff);
+diffKeySelect.addEventListener('change', function() {
+    pendingUpdate.keys[diffSheetSelect.value] = this.value;
+    renderDiff();
+});
+document.getElementById('diff-replace').addEventListener('click', () => applyUpdate('replace'));
+document.getElementById('diff-merge').addEventListener('click', () => applyUpdate('merge'));
+document.getElementById('diff-keep').addEventListener('click', () => applyUpdate('keep'));
+document.getElementById('diff-close').addEventListener('click', closeDiffView);
+diffView.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') closeDiffView();
+});
+undoImportBtn.addEventListener('click', undoImport);
+
+// --- Row Status Marks ---
+// Rows can be marked checked in, pending or flagged, with the time of the
+// change and an optional note. Marks are kept in their own store and found
+// by the dataset and the value of the sheet's key column, so they carry
+// over when the dataset is updated from a new copy of the file.
+const ROW_STATUSES = {
+    'checked-in': { label: 'Checked in', icon: '✓' },
+    pending: { label: 'Pending', icon: '⏳' },
+    flagged: { label: 'Flagged', icon: '⚑' }
+};
+const UNMARKED = 'unmarked'; // status filter value for rows without a mark
+const statusSummary = document.getElementById('status-summary');
+const statusKeySelect = document.getElementById('status-key');
+const statusMarks = new Map(); // mark id -> { id, datasetId, keyColumn, key, status, time, note }
+let statusKey = ''; // key column of the active sheet
+let statusFilter = ''; // '' for all rows, a status or UNMARKED
+let statusBase = []; // search results before the status filter, for the counts
+
+// Helper: Id of the mark for a row; null when its key cell is empty or the
+// dataset isn't saved yet
+function getStatusId(row) {
+    const value = statusKey && row[statusKey] != null ? String(row[statusKey]).trim() : '';
+    return value && currentDataset ? `${currentDataset.id}\u0001${statusKey}\u0001${value}` : null;
+}
+
+function getRowStatus(row) {
+    const id = getStatusId(row);
+    return (id && statusMarks.get(id)) || null;
+}
+
+function getStatusValue(row) {
+    const mark = getRowStatus(row);
+    return mark ? mark.status : UNMARKED;
+}
+
+// Helper: Time of a mark; the date is added for earlier days
+function formatStatusTime(time) {
+    const date = new Date(time);
+    const clock = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return date.toDateString() === new Date().toDateString()
+        ? `at ${clock}`
+        : `on ${date.toLocaleDateString()} ${clock}`;
+}
+
+// Utility: Set (or with an empty status, clear) the mark of a row. The
+// note is kept when it is not given. When saving fails the saved mark is
+// put back and the error is passed on.
+function setRowStatus(row, status, note) {
+    const id = getStatusId(row);
+    if (!id) return Promise.resolve();
+    const current = statusMarks.get(id);
+    const text = note !== undefined ? note : (current ? current.note : '');
+    const rollBack = err => {
+        if (current) {
+            statusMarks.set(id, current);
+        } else {
+            statusMarks.delete(id);
+        }
+        renderStatusSummary();
+        throw err;
+    };
+    if (!status) {
+        statusMarks.delete(id);
+        renderStatusSummary();
+        return deleteStatusMark(id).catch(rollBack);
+    }
+    const mark = {
+        id,
+        datasetId: currentDataset.id,
+        keyColumn: statusKey,
+        key: String(row[statusKey]).trim(),
+        status,
+        time: current && current.status === status ? current.time : Date.now(),
+        note: text
+    };
+    statusMarks.set(id, mark);
+    renderStatusSummary();
+    return saveStatusMark(mark).catch(rollBack);
+}
+
+// UI: Status badge and note shown on a card
+function appendStatusMark(card, row) {
+    const mark = getRowStatus(row);
+    if (!mark) return;
+    const info = ROW_STATUSES[mark.status];
+    const badge = document.createElement('span');
+    badge.className = `status-badge status-${mark.status}`;
+    badge.textContent = `${info.icon} ${info.label} ${formatStatusTime(mark.time)}`;
+    card.appendChild(badge);
+    if (mark.note) {
+        const note = document.createElement('p');
+        note.className = 'status-note';
+        note.textContent = mark.note;
+        card.appendChild(note);
+    }
+}
+
+// UI: Status dropdown and note button for a card
+function createStatusControls(card, row) {
+    const controls = document.createElement('span');
+    controls.className = 'status-controls';
+    const select = document.createElement('select');
+    select.className = 'status-select';
+    select.setAttribute('aria-label', 'Status');
+    [['', 'No status']].concat(Object.keys(ROW_STATUSES).map(status => [status, ROW_STATUSES[status].label]))
+        .forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    const mark = getRowStatus(row);
+    select.value = mark ? mark.status : '';
+    const noteBtn = document.createElement('button');
+    noteBtn.type = 'button';
+    noteBtn.className = 'card-btn secondary';
+    noteBtn.textContent = 'Note';
+    if (!getStatusId(row)) {
+        select.disabled = true;
+        noteBtn.disabled = true;
+        controls.title = `This row has no ${statusKey} value to keep a status under.`;
+    }
+    select.addEventListener('change', async function() {
+        try {
+            await setRowStatus(row, select.value);
+        } catch (err) {
+            alert(`The status could not be saved: ${err.message}`);
+        }
+        card.replaceWith(createCard(row));
+    });
+    noteBtn.addEventListener('click', async function() {
+        const current = getRowStatus(row);
+        const note = prompt('Note for this row:', current ? current.note : '');
+        if (note === null) return;
+        // A note on an unmarked row marks it as pending
+        try {
+            await setRowStatus(row, current ? current.status : 'pending', note.trim());
+        } catch (err) {
+            alert(`The note could not be saved: ${err.message}`);
+        }
+        card.replaceWith(createCard(row));
+    });
+    controls.appendChild(select);
+    controls.appendChild(noteBtn);
+    return controls;
+}
+
+// UI: Counts per status for the search results; each count filters by it
+function renderStatusSummary() {
+    const counts = { [UNMARKED]: 0 };
+    Object.keys(ROW_STATUSES).forEach(status => { counts[status] = 0; });
+    statusBase.forEach(row => { counts[getStatusValue(row)]++; });
+    const options = [['', 'All', statusBase.length]]
+        .concat(Object.keys(ROW_STATUSES).map(status => [
+            status,
+            `${ROW_STATUSES[status].icon} ${ROW_STATUSES[status].label}`,
+            counts[status]
+        ]))
+        .concat([[UNMARKED, 'No status', counts[UNMARKED]]]);
+    statusSummary.innerHTML = '';
+    options.forEach(([value, label, count]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'status-chip';
+        button.classList.toggle('active', statusFilter === value);
+        button.setAttribute('aria-pressed', String(statusFilter === value));
+        button.textContent = `${label} (${count})`;
+        button.addEventListener('click', () => {
+            statusFilter = value;
+            refreshCards();
+        });
+        statusSummary.appendChild(button);
+    });
+}
+
+// UI: Fill the key column dropdown for the active sheet. Defaults to a
+// registration column, else the first column.
+function refreshStatusKey() {
+    const saved = statusKeysBySheet[activeSheet];
+    statusKey = viewColumns.includes(saved)
+        ? saved
+        : viewColumns.find(isRegistrationField) || viewColumns[0] || '';
+    statusFilter = '';
+    statusKeySelect.innerHTML = '';
+    viewColumns.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = field;
+        statusKeySelect.appendChild(option);
+    });
+    statusKeySelect.value = statusKey;
+}
+
+statusKeySelect.addEventListener('change', function() {
+    statusKey = this.value;
+    statusKeysBySheet[activeSheet] = statusKey;
+    saveConfig();
+    refreshCards();
+});
+
+// --- Validation Rules ---
+// Rules belong to the dataset and are set per column name, so every sheet
+// with that column is checked. Rows are checked on load and after edits;
+// the issues are kept for the stored rows.
+const rulesView = document.getElementById('rules-view');
+const rulesList = document.getElementById('rules-list');
+const rulesForm = document.getElementById('rules-form');
+const ruleColumnSelect = document.getElementById('rule-column');
+const ruleFormatSelect = document.getElementById('rule-format');
+const rulePatternInput = document.getElementById('rule-pattern');
+const ruleError = document.getElementById('rule-error');
+const issuesBar = document.getElementById('issues-bar');
+const issuesCount = document.getElementById('issues-count');
+const issuesOnlyBtn = document.getElementById('issues-only');
+const RULE_FORMATS = { email: EMAIL_PATTERN.source, phone: PHONE_PATTERN.source };
+let validationRules = {}; // column name -> { required, unique, pattern, min, max, allowed }
+let rowIssues = new WeakMap(); // stored row -> [{ field, rule, message }]
+let issuesOnly = false; // show only the rows that break a rule
+let issueBase = []; // search results before the issues filter, for the count
+
+function hasValidationRules() {
+    return Object.keys(validationRules).length > 0;
+}
+
+// Helper: Issues of a row of excelData, or null
+function getRowIssues(row) {
+    return rowIssues.get(getSourceRow(row).row) || null;
+}
+
+// Helper: The rules for the given columns
+function pickRulesFor(columns) {
+    const rules = {};
+    columns.forEach(column => {
+        if (validationRules[column]) rules[column] = validationRules[column];
+    });
+    return rules;
+}
+
+// Utility: Check every sheet against the rules
+function runValidation() {
+    rowIssues = new WeakMap();
+    if (hasValidationRules()) {
+        sheetNames.forEach(name => {
+            const rows = workbookSheets[name] || [];
+            validateRows(rows, pickRulesFor(getSheetColumns(name))).forEach((issues, index) => {
+                if (issues) rowIssues.set(rows[index], issues);
+            });
+        });
+    } else {
+        issuesOnly = false;
+    }
+    renderIssueSummary();
+}
+
+// UI: Count of the results with issues, with the filter and report buttons
+function renderIssueSummary() {
+    if (!hasValidationRules()) {
+        issuesBar.style.display = 'none';
+        return;
+    }
+    const count = issueBase.filter(getRowIssues).length;
+    issuesBar.style.display = '';
+    issuesCount.classList.toggle('has-issues', count > 0);
+    issuesCount.textContent = count
+        ? `⚠ ${count} row${count === 1 ? '' : 's'} with issues`
+        : '✓ All rows pass the validation rules';
+    issuesOnlyBtn.classList.toggle('active', issuesOnly);
+    issuesOnlyBtn.setAttribute('aria-pressed', String(issuesOnly));
+}
+
+// UI: Mark the fields of a card that break a rule and list the problems
+function appendRowIssues(card, row) {
+    const issues = getRowIssues(row);
+    if (!issues) return;
+    const fields = new Set(issues.map(issue => issue.field));
+    card.classList.add('has-issues');
+    card.querySelectorAll('[data-field]').forEach(line => {
+        if (fields.has(line.dataset.field)) line.classList.add('field-issue');
+    });
+    const list = document.createElement('ul');
+    list.className = 'issue-list';
+    issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.textContent = `⚠ ${issue.message}`;
+        list.appendChild(item);
+    });
+    card.appendChild(list);
+}
+
+// Utility: Download every issue in the workbook as .xlsx, one line per
+// problem. Row numbers are the spreadsheet's, below the header row.
+function downloadIssueReport() {
+    const lines = [];
+    sheetNames.forEach(name => {
+        (workbookSheets[name] || []).forEach((row, index) => {
+            (rowIssues.get(row) || []).forEach(issue => {
+                lines.push({
+                    Sheet: name,
+                    Row: index + 2,
+                    Field: issue.field,
+                    Value: isBlank(row[issue.field]) ? '' : row[issue.field],
+                    Problem: issue.message
+                });
+            });
+        });
+    });
+    if (!lines.length) {
+        alert('There are no issues to report.');
+        return;
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(lines), 'Issues');
+    XLSX.writeFile(workbook, downloadName('xlsx', '-issues'));
+}
+
+issuesOnlyBtn.addEventListener('click', function() {
+    issuesOnly = !issuesOnly;
+    refreshCards();
+});
+document.getElementById('issues-report').addEventListener('click', downloadIssueReport);
+
+// Helper: Stored columns of every sheet; computed fields can't have rules
+function getRuleColumns() {
+    const columns = [];
+    sheetNames.forEach(name => {
+        getSheetColumns(name).forEach(column => {
+            if (!columns.includes(column)) columns.push(column);
+        });
+    });
+    return columns;
+}
+
+// Helper: Short description of a rule for the list
+function describeRule(rule) {
+    const parts = [];
+    if (rule.required) parts.push('required');
+    if (rule.unique) parts.push('unique');
+    if (rule.pattern) {
+        const format = Object.keys(RULE_FORMATS).find(key => RULE_FORMATS[key] === rule.pattern);
+        parts.push(format ? `${format} format` : `matches /${rule.pattern}/`);
+    }
+    if (!isBlank(rule.min) && !isBlank(rule.max)) {
+        parts.push(`${rule.min} to ${rule.max}`);
+    } else if (!isBlank(rule.min)) {
+        parts.push(`at least ${rule.min}`);
+    } else if (!isBlank(rule.max)) {
+        parts.push(`at most ${rule.max}`);
+    }
+    if (rule.allowed) parts.push(`one of ${rule.allowed.length} value${rule.allowed.length === 1 ? '' : 's'}`);
+    return parts.join(', ');
+}
+
+// UI: List the rules; choosing one loads it into the form
+function renderRulesList() {
+    const fields = Object.keys(validationRules);
+    rulesList.innerHTML = '';
+    fields.forEach(field => {
+        const item = document.createElement('li');
+        item.className = 'rules-item';
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'link-btn';
+        name.textContent = field;
+        name.addEventListener('click', () => fillRuleForm(field));
+        const text = document.createElement('span');
+        text.textContent = describeRule(validationRules[field]);
+        item.appendChild(name);
+        item.appendChild(text);
+        rulesList.appendChild(item);
+    });
+    document.getElementById('rules-empty').style.display = fields.length ? 'none' : '';
+}
+
+// UI: Show the rule of a column in the form
+function fillRuleForm(field) {
+    const rule = validationRules[field] || {};
+    ruleColumnSelect.value = field;
+    document.getElementById('rule-required').checked = !!rule.required;
+    document.getElementById('rule-unique').checked = !!rule.unique;
+    const format = Object.keys(RULE_FORMATS).find(key => RULE_FORMATS[key] === rule.pattern);
+    ruleFormatSelect.value = rule.pattern ? format || 'custom' : '';
+    rulePatternInput.value = rule.pattern || '';
+    rulePatternInput.style.display = ruleFormatSelect.value === 'custom' ? '' : 'none';
+    document.getElementById('rule-min').value = isBlank(rule.min) ? '' : rule.min;
+    document.getElementById('rule-max').value = isBlank(rule.max) ? '' : rule.max;
+    document.getElementById('rule-allowed').value = (rule.allowed || []).join('\n');
+    document.getElementById('rule-remove').disabled = !validationRules[field];
+    ruleError.textContent = '';
+}
+
+// Helper: The rule described by the form; throws when it can't be used
+function readRuleForm() {
+    const rule = {};
+    if (document.getElementById('rule-required').checked) rule.required = true;
+    if (document.getElementById('rule-unique').checked) rule.unique = true;
+    const format = ruleFormatSelect.value;
+    const pattern = format === 'custom' ? rulePatternInput.value.trim() : RULE_FORMATS[format];
+    if (pattern) {
+        try {
+            compileRulePattern(pattern);
+        } catch (err) {
+            throw new Error(`The regular expression is not valid: ${err.message}`);
+        }
+        rule.pattern = pattern;
+    }
+    [['min', 'Minimum'], ['max', 'Maximum']].forEach(([key, label]) => {
+        const value = document.getElementById(`rule-${key}`).value.trim();
+        if (!value) return;
+        if (toNumber(value) === null && toTimestamp(value) === null) {
+            throw new Error(`${label} must be a number or a date.`);
+        }
+        rule[key] = value;
+    });
+    const allowed = document.getElementById('rule-allowed').value
+        .split('\n')
+        .map(value => value.trim())
+        .filter(Boolean);
+    if (allowed.length) rule.allowed = allowed;
+    return rule;
+}
+
+// Utility: Check the rows again after the rules change and save them
+function applyRuleChange() {
+    runValidation();
+    renderRulesList();
+    refreshCards();
+    saveConfig();
+}
+
+function openRulesView() {
+    const columns = getRuleColumns();
+    ruleColumnSelect.innerHTML = '';
+    columns.forEach(column => {
+        const option = document.createElement('option');
+        option.value = column;
+        option.textContent = column;
+        ruleColumnSelect.appendChild(option);
+    });
+    renderRulesList();
+    fillRuleForm(Object.keys(validationRules).find(field => columns.includes(field)) || columns[0] || '');
+    rulesView.style.display = 'flex';
+    document.getElementById('rules-close').focus();
+}
+
+function closeRulesView() {
+    rulesView.style.display = 'none';
+    document.getElementById('rules-btn').focus();
+}
+
+document.getElementById('rules-btn').addEventListener('click', openRulesView);
+document.getElementById('rules-close').addEventListener('click', closeRulesView);
+rulesView.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') closeRulesView();
+});
+ruleColumnSelect.addEventListener('change', function() {
+    fillRuleForm(this.value);
+});
+ruleFormatSelect.addEventListener('change', function() {
+    rulePatternInput.style.display = this.value === 'custom' ? '' : 'none';
+    if (this.value === 'custom') rulePatternInput.focus();
+});
+
+rulesForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+    const field = ruleColumnSelect.value;
+    if (!field) return;
+    let rule;
+    try {
+        rule = readRuleForm();
+    } catch (err) {
+        ruleError.textContent = err.message;
+        return;
+    }
+    if (!Object.keys(rule).length) {
+        ruleError.textContent = 'Choose at least one check, or remove the rule.';
+        return;
+    }
+    validationRules[field] = rule;
+    applyRuleChange();
+    fillRuleForm(field);
+});
+
+document.getElementById('rule-remove').addEventListener('click', function() {
+    const field = ruleColumnSelect.value;
+    if (!validationRules[field]) return;
+    delete validationRules[field];
+    applyRuleChange();
+    fillRuleForm(field);
+});
+
+// --- Result Export and Print ---
+const PRINT_CONFIRM_ROWS = 2000; // Ask before laying out more cards than this for printing
+const exportMenu = document.getElementById('export-menu');
+const printView = document.getElementById('print-view');
+
+// Helper: Current results limited to the displayed fields, in display order
+function getExportRows() {
+    return lastMatches.map(row => {
+        const record = {};
+        lastFields.forEach(field => {
+            record[field] = isBlank(row[field]) ? '' : row[field];
+        });
+        return record;
+    });
+}
+
+// Helper: Save text as a file through a temporary link
+function downloadBlob(content, type, fileName) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Utility: Download the filtered and sorted results as xlsx, csv or json
+function exportResults(format) {
+    if (!lastMatches.length) {
+        alert('There are no results to export.');
+        return;
+    }
+    const rows = getExportRows();
+    if (format === 'json') {
+        downloadBlob(JSON.stringify(rows, null, 2), 'application/json', downloadName('json', '-results'));
+        return;
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, rowsToWorksheet(rows, lastFields), 'Results');
+    XLSX.writeFile(workbook, downloadName(format, '-results'), { bookType: format });
+}
+
+// UI: Lay out every result (not just the loaded pages) for printing
+function buildPrintView() {
+    printView.innerHTML = '';
+    lastMatches.forEach(row => {
+        const card = document.createElement('div');
+        card.className = 'print-card';
+        appendCardFields(card, row, lastFields, cardTemplate, field => getDisplayType(field));
+        printView.appendChild(card);
+    });
+}
+
+function printResults() {
+    if (!lastMatches.length) {
+        alert('There are no results to print.');
+        return;
+    }
+    if (lastMatches.length > PRINT_CONFIRM_ROWS &&
+        !confirm(`Print all ${lastMatches.length} cards? This may take a while.`)) {
+        return;
+    }
+    buildPrintView();
+    document.body.classList.add('print-mode');
+    window.print();
+}
+
+exportMenu.addEventListener('click', function(e) {
+    const format = e.target.dataset.export;
+    if (!format) return;
+    exportMenu.open = false;
+    if (format === 'print') {
+        printResults();
+    } else {
+        exportResults(format);
+    }
+});
+
+// Printing from the browser menu also gets the full result set
+window.addEventListener('beforeprint', () => {
+    if (!document.body.classList.contains('print-mode')) buildPrintView();
+});
+window.addEventListener('afterprint', () => {
+    document.body.classList.remove('print-mode');
+    printView.innerHTML = '';
+});
+
+// --- Detail View and Deep Links ---
+// The detail view shows every column of a row and steps through
+// lastMatches. While it is open the URL hash names the dataset, sheet,
+// query, search field and row (#dataset=...&sheet=...&q=...&field=...&key=
+// ...&id=...), so the link opens the same record again on this device. Rows
+// are named by their key column value, or by a fingerprint of their cells
+// when they have none (&hash=...).
+const detailView = document.getElementById('detail-view');
+const detailTitle = document.getElementById('detail-title');
+const detailFields = document.getElementById('detail-fields');
+const detailPosition = document.getElementById('detail-position');
+const detailPrevBtn = document.getElementById('detail-prev');
+const detailNextBtn = document.getElementById('detail-next');
+const detailCopyBtn = document.getElementById('detail-copy-link');
+let detailRow = null;
+let detailReturnFocus = null;
+
+// Helper: Name of a row: its card title, or its row number
+function getRowTitle(row) {
+    const titleField = cardTemplate.title;
+    return titleField && !isBlank(row[titleField])
+        ? String(row[titleField])
+        : `Row ${excelData.indexOf(row) + 1}`;
+}
+
+// UI: Show a row in the detail view
+function openDetail(row) {
+    if (detailView.style.display === 'none') detailReturnFocus = document.activeElement;
+    detailRow = row;
+    const position = lastMatches.indexOf(row);
+    detailTitle.textContent = getRowTitle(row);
+    detailFields.innerHTML = '';
+    const problems = getRowIssues(row) || [];
+    viewColumns.forEach(field => {
+        const term = document.createElement('dt');
+        term.textContent = field;
+        const value = document.createElement('dd');
+        if (isBlank(row[field])) {
+            value.className = 'detail-empty';
+            value.textContent = '—';
+        } else {
+            appendFieldValue(value, field, row[field], getDisplayType(field));
+        }
+        problems.filter(issue => issue.field === field).forEach(issue => {
+            value.classList.add('field-issue');
+            const note = document.createElement('div');
+            note.className = 'issue-text';
+            note.textContent = `⚠ ${issue.message}`;
+            value.appendChild(note);
+        });
+        detailFields.appendChild(term);
+        detailFields.appendChild(value);
+    });
+    detailPosition.textContent = position === -1
+        ? 'Not in the current results'
+        : `${position + 1} of ${lastMatches.length}`;
+    detailPrevBtn.disabled = position <= 0;
+    detailNextBtn.disabled = position === -1 || position >= lastMatches.length - 1;
+    detailCopyBtn.textContent = 'Copy link to this record';
+    detailView.style.display = 'flex';
+    history.replaceState(null, '', `#${buildDeepLink(row)}`);
+    document.getElementById('detail-close').focus();
+}
+
+function closeDetail() {
+    detailView.style.display = 'none';
+    detailRow = null;
+    history.replaceState(null, '', location.pathname + location.search);
+    if (detailReturnFocus && document.contains(detailReturnFocus)) detailReturnFocus.focus();
+}
+
+// Helper: Step through the results from the row shown
+function showAdjacentDetail(step) {
+    const position = lastMatches.indexOf(detailRow);
+    const next = lastMatches[position + step];
+    if (position !== -1 && next) openDetail(next);
+}
+
+// Helper: Short fingerprint (FNV-1a) of the cells of a row
+function rowFingerprint(row) {
+    const text = JSON.stringify(viewColumns.map(field => isBlank(row[field]) ? '' : row[field]));
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// Helper: Hash parameters that lead back to a row
+function buildDeepLink(row) {
+    const params = new URLSearchParams();
+    if (currentDataset) params.set('dataset', currentDataset.id);
+    params.set('sheet', activeSheet);
+    if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+    if (searchFieldSelect.value !== 'all') params.set('field', searchFieldSelect.value);
+    const key = statusKey && !isBlank(row[statusKey]) ? String(row[statusKey]).trim() : '';
+    if (key) {
+        params.set('key', statusKey);
+        params.set('id', key);
+    } else {
+        params.set('hash', rowFingerprint(row));
+    }
+    return params.toString();
+}
+
+// Helper: The row a link names, or undefined
+function findLinkedRow(params) {
+    const keyField = params.get('key');
+    if (keyField) {
+        const id = params.get('id');
+        return excelData.find(row => !isBlank(row[keyField]) && String(row[keyField]).trim() === id);
+    }
+    const hash = params.get('hash');
+    return excelData.find(row => rowFingerprint(row) === hash);
+}
+
+// Utility: Open the dataset, sheet, query and row named in the URL hash
+async function openDeepLink() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    const datasetId = params.get('dataset');
+    if (!datasetId || !(params.get('id') || params.get('hash'))) return;
+    if (!currentDataset || currentDataset.id !== datasetId) {
+        const meta = await loadDatasetMeta(datasetId);
+        const data = await loadExcelFromDB(datasetId);
+        if (!meta || !data) {
+            alert('The linked dataset is not saved on this device.');
+            history.replaceState(null, '', location.pathname + location.search);
+            return;
+        }
+        applyDataset(meta, data, await loadSearchIndexes(datasetId));
+        renderDatasetLibrary();
+    }
+    const sheet = params.get('sheet');
+    const validSheet = sheetNames.includes(sheet) || (sheet === ALL_SHEETS && sheetNames.length > 1);
+    if (validSheet && sheet !== activeSheet) selectSheet(sheet);
+    const field = params.get('field');
+    const knownField = Array.from(searchFieldSelect.options).some(option => option.value === field);
+    searchFieldSelect.value = knownField ? field : 'all';
+    const query = params.get('q') || '';
+    searchInput.value = query;
+    // Another search started meanwhile: the link is no longer what is shown
+    if (!(await renderCards(excelData, selectedFields, query))) return;
+    const row = findLinkedRow(params);
+    if (row) {
+        openDetail(row);
+    } else {
+        alert('The linked record no longer exists.');
+    }
+}
+
+detailPrevBtn.addEventListener('click', () => showAdjacentDetail(-1));
+detailNextBtn.addEventListener('click', () => showAdjacentDetail(1));
+document.getElementById('detail-close').addEventListener('click', closeDetail);
+
+detailCopyBtn.addEventListener('click', async function() {
+    try {
+        await navigator.clipboard.writeText(location.href);
+        detailCopyBtn.textContent = 'Link copied';
+    } catch {
+        prompt('Copy this link:', location.href);
+    }
+});
+
+detailView.addEventListener('click', function(e) {
+    if (e.target === detailView) closeDetail();
+});
+
+detailView.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') closeDetail();
+    if (e.target.closest('input, select, textarea')) return;
+    if (e.key === 'ArrowLeft') showAdjacentDetail(-1);
+    if (e.key === 'ArrowRight') showAdjacentDetail(1);
+});
+
+window.addEventListener('hashchange', openDeepLink);
+
+// --- Barcode and QR Scanning ---
+// Codes are read from the camera or from an image and decoded in the worker
+// by the bundled decoder (decodeBarcodePixels in core.js), so scanning works
+// offline. A scan runs an exact-match search (or a registration lookup in
+// lookup mode). In check-in mode the scanner stays open and each scanned
+// record gets the checked-in status mark.
+const SCAN_INTERVAL_MS = 250; // pause between camera frames
+const SCAN_REPEAT_MS = 3000; // check-in mode ignores the same code for this long
+const SCAN_MAX_SIZE = 1280; // longest image side handed to the decoder
+const SCAN_LOG_SIZE = 50;
+const scanView = document.getElementById('scan-view');
+const scanVideo = document.getElementById('scan-video');
+const scanStatus = document.getElementById('scan-status');
+const scanImageInput = document.getElementById('scan-image');
+const scanCheckIn = document.getElementById('scan-checkin');
+const scanLog = document.getElementById('scan-log');
+let scanStream = null;
+let scanTimer = null;
+let scanReturnFocus = null;
+let lastScan = { text: '', time: 0 };
+let checkInsChanged = false;
+let scanCodeLookup = null; // { data, fieldsKey, text: Map, numbers: Map } of the scan field values
+let scanCheckedIn = null; // checked-in rows, counted once per scanner session
+
+// Helper: Fields a scanned code is matched against: the registration
+// columns if there are any, else the field picked for searching
+function getScanFields() {
+    const registration = viewColumns.filter(isRegistrationField);
+    if (registration.length) return registration;
+    return searchFieldSelect.value !== 'all' ? [searchFieldSelect.value] : selectedFields;
+}
+
+// Helper: Rows with the code in one of the fields, matched the way
+// field=code is (same text ignoring case, or the same number). The lookup
+// maps are built once per data change.
+function findScannedRows(code, fields) {
+    const fieldsKey = fields.join('\u0001');
+    if (!scanCodeLookup || scanCodeLookup.data !== excelData || scanCodeLookup.fieldsKey !== fieldsKey) {
+        const lookup = { data: excelData, fieldsKey, text: new Map(), numbers: new Map() };
+        const add = (map, key, row) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(row);
+        };
+        excelData.forEach(row => fields.forEach(field => {
+            add(lookup.text, cellText(row[field]), row);
+            const number = toNumber(row[field]);
+            if (number !== null) add(lookup.numbers, number, row);
+        }));
+        scanCodeLookup = lookup;
+    }
+    const rows = new Set(scanCodeLookup.text.get(cellText(code)));
+    const number = toNumber(code);
+    if (number !== null) (scanCodeLookup.numbers.get(number) || []).forEach(row => rows.add(row));
+    return Array.from(rows);
+}
+
+// Helper: Text in query quotes, with quotes inside written twice
+function quoteQueryText(text) {
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+// Helper: Query for cells equal to the code in any of the fields
+function buildExactQuery(code, fields) {
+    return fields.map(field => `${quoteQueryText(field)}=${quoteQueryText(code)}`).join(' OR ');
+}
+
+// Helper: RGBA pixels of a video frame or image, scaled down for the decoder
+function readPixels(source, width, height) {
+    const scale = Math.min(1, SCAN_MAX_SIZE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return context.getImageData(0, 0, canvas.width, canvas.height);
 }
 
-// Utility: Parse Excel file using SheetJS
-function parseExcel(file, callback) {
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const data = new Uint8Array(e.target.result);
-            const workbook = XLSX.read(data, {type: 'array'});
-            const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-            const json = XLSX.utils.sheet_to_json(firstSheet, {defval: ''});
-            callback(null, json);
-        } catch (err) {
-            callback(err);
-        }
-    };
-    reader.onerror = function() {
-        callback(new Error('Failed to read file.'));
-    };
-    reader.readAsArrayBuffer(file);
+function decodePixels(image) {
+    return workerRequest({ type: 'decode', image }).promise;
 }
 
-// UI: Show column selection
-function showColumnSelection(columns) {
-    selectedFields = [];
-    columnForm.innerHTML = '';
-    
-    // Get saved fields from localStorage if available
-    const savedFields = JSON.parse(localStorage.getItem(CONFIG_KEY) || '[]');
-    
-    columns.forEach((column, index) => {
-        const fieldId = `col-${index}`;
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = fieldId;
-        checkbox.value = column;
-        // Check if this field was previously selected (or check all if no saved fields)
-        checkbox.checked = savedFields.length === 0 || savedFields.includes(column);
-        
-        const label = document.createElement('label');
-        label.htmlFor = fieldId;
-        label.textContent = column;
-        
-        const div = document.createElement('div');
-        div.className = 'checkbox-container';
-        div.appendChild(checkbox);
-        div.appendChild(label);
-        
-        columnForm.appendChild(div);
-        
-        // Add to selectedFields if checked
-        if (checkbox.checked) {
-            selectedFields.push(column);
+function setScanStatus(text) {
+    scanStatus.textContent = text;
+}
+
+function openScanner() {
+    scanReturnFocus = document.activeElement;
+    scanCheckedIn = null;
+    setScanStatus('Starting the camera…');
+    scanView.style.display = 'flex';
+    document.getElementById('scan-close').focus();
+    startCamera();
+}
+
+function closeScanner() {
+    stopCamera();
+    scanView.style.display = 'none';
+    if (checkInsChanged) {
+        checkInsChanged = false;
+        if (lookupMode) {
+            runLookup();
+        } else {
+            refreshCards();
         }
-    });
-    
-    // Update the search fields dropdown with the selected columns
-    updateSearchFields(selectedFields.length > 0 ? selectedFields : columns);
-    
-    columnSection.style.display = 'block';
-    searchSection.style.display = 'block';
-    
-    // If we have data and fields, render the cards
-    if (excelData.length > 0) {
-        renderCards(excelData, selectedFields);
     }
+    if (scanReturnFocus && document.contains(scanReturnFocus)) scanReturnFocus.focus();
 }
 
-// Helper: Detect if a field contains 'registratio' (case-insensitive, partial match, not requiring 'n' at the end)
-function isRegistrationField(fieldName) {
-    return fieldName.toLowerCase().includes('registratio');
+async function startCamera() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        setScanStatus('No camera is available here. You can scan an image instead.');
+        return;
+    }
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    } catch (err) {
+        setScanStatus(`The camera could not be started (${err.message}). You can scan an image instead.`);
+        return;
+    }
+    if (scanView.style.display === 'none') {
+        // Closed while the camera was starting
+        stream.getTracks().forEach(track => track.stop());
+        return;
+    }
+    scanStream = stream;
+    scanVideo.srcObject = stream;
+    scanVideo.style.display = '';
+    try {
+        await scanVideo.play();
+    } catch {
+        // Autoplay is allowed for muted video; frames are read either way
+    }
+    setScanStatus('Point the camera at a barcode or QR code.');
+    scanFrame();
 }
 
-// --- Virtualized Card Rendering ---
-const CARDS_PER_PAGE = 30;
-let lastMatches = [];
-let lastFields = [];
-let lastSearchTerm = '';
-let currentPage = 1;
-let loadMoreBtn = null;
-const CHUNK_SIZE = 10; // cards per rendering chunk
-const loadingSpinner = document.getElementById('loading-spinner');
+function stopCamera() {
+    clearTimeout(scanTimer);
+    scanTimer = null;
+    if (scanStream) scanStream.getTracks().forEach(track => track.stop());
+    scanStream = null;
+    scanVideo.srcObject = null;
+    scanVideo.style.display = 'none';
+}
 
-function clearLoadMoreBtn() {
-    if (loadMoreBtn && loadMoreBtn.parentNode) {
-        loadMoreBtn.parentNode.removeChild(loadMoreBtn);
+// Helper: Decode the current camera frame, then schedule the next one
+async function scanFrame() {
+    scanTimer = null;
+    if (!scanStream) return;
+    if (scanVideo.readyState >= 2 && scanVideo.videoWidth) {
+        let result = null;
+        try {
+            result = await decodePixels(readPixels(scanVideo, scanVideo.videoWidth, scanVideo.videoHeight));
+        } catch (err) {
+            setScanStatus(err.message);
+        }
+        if (!scanStream) return;
+        if (result) handleScan(result.text);
     }
-    loadMoreBtn = null;
+    if (scanStream) scanTimer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
 }
 
-function showSpinner(show) {
-    if (loadingSpinner) loadingSpinner.style.display = show ? '' : 'none';
+// Helper: Read an image file into an <img>
+function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The image could not be read.'));
+        };
+        image.src = url;
+    });
 }
 
-function renderCards(data, fields, searchTerm = '') {
-    cardsSection.innerHTML = '';
-    clearLoadMoreBtn();
-    let matches = data;
-    const term = (searchTerm || '').toLowerCase().trim();
-    const selectedField = searchFieldSelect.value;
-    
-    if (term) {
-        if (selectedField === 'all') {
-            // Search in all selected fields
-            matches = data.filter(row =>
-                fields.some(field => 
-                    String(row[field] || '').toLowerCase().includes(term)
-                )
-            );
-        } else if (fields.includes(selectedField)) {
-            // Search in the specific selected field
-            matches = data.filter(row => 
-                String(row[selectedField] || '').toLowerCase().includes(term)
-            );
+// UI: Search for a scanned code, or check it in when in check-in mode
+function handleScan(text) {
+    const code = text.trim();
+    if (!code) return;
+    if (!scanCheckIn.checked) {
+        closeScanner();
+        if (lookupMode) {
+            lookupInput.value = code;
+            runLookup();
+        } else {
+            searchInput.value = buildExactQuery(code, getScanFields());
+            renderCards(excelData, selectedFields, searchInput.value);
         }
-    }
-    
-    if (!matches.length) {
-        noMatches.style.display = term ? 'block' : 'none';
-        showSpinner(false);
         return;
-    } else {
-        noMatches.style.display = 'none';
     }
-    
-    lastMatches = matches;
-    lastFields = fields;
-    lastSearchTerm = searchTerm;
-    currentPage = 1;
-    renderCardsPage();
+    const now = Date.now();
+    if (code === lastScan.text && now - lastScan.time < SCAN_REPEAT_MS) return;
+    lastScan = { text: code, time: now };
+    checkInCode(code);
 }
 
-function renderCardsPage() {
-    cardsSection.innerHTML = '';
-    clearLoadMoreBtn();
-    showSpinner(true);
-    const end = currentPage * CARDS_PER_PAGE;
-    const toShow = lastMatches.slice(0, end);
-    let i = 0;
-    function renderChunk() {
-        const chunkEnd = Math.min(i + CHUNK_SIZE, toShow.length);
-        for (; i < chunkEnd; i++) {
-            const row = toShow[i];
-            const card = document.createElement('div');
-            card.className = 'card';
-            lastFields.forEach(field => {
-                const value = row[field] || '';
-                const fieldDiv = document.createElement('div');
-                fieldDiv.innerHTML = `<strong>${field}:</strong> ${value}`;
-                card.appendChild(fieldDiv);
-            });
-            cardsSection.appendChild(card);
+// UI: Mark the record with the code as checked in and log the outcome
+async function checkInCode(code) {
+    const rows = findScannedRows(code, getScanFields());
+    if (scanCheckedIn === null) scanCheckedIn = excelData.filter(row => getStatusValue(row) === 'checked-in').length;
+    let text;
+    let status = 'error';
+    if (!rows.length) {
+        text = `✗ ${code}: no matching record`;
+    } else if (rows.length > 1) {
+        text = `⚠ ${code}: ${rows.length} records match, none checked in`;
+    } else if (!getStatusId(rows[0])) {
+        text = `⚠ ${getRowTitle(rows[0])} has no ${statusKey} value and can't be checked in`;
+    } else if (getStatusValue(rows[0]) === 'checked-in') {
+        text = `⚠ ${getRowTitle(rows[0])} was already checked in ${formatStatusTime(getRowStatus(rows[0]).time)}`;
+    } else {
+        try {
+            await setRowStatus(rows[0], 'checked-in');
+            checkInsChanged = true;
+            scanCheckedIn++;
+            text = `✓ ${getRowTitle(rows[0])} checked in`;
+            status = 'ok';
+            if (navigator.vibrate) navigator.vibrate(100);
+        } catch (err) {
+            text = `✗ ${getRowTitle(rows[0])} could not be checked in: ${err.message}`;
         }
-        if (i < toShow.length) {
-            if (window.requestIdleCallback) {
-                requestIdleCallback(renderChunk);
-            } else {
-                requestAnimationFrame(renderChunk);
-            }
+    }
+    const entry = document.createElement('li');
+    entry.className = `scan-entry ${status}`;
+    entry.textContent = `${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} ${text}`;
+    scanLog.prepend(entry);
+    while (scanLog.children.length > SCAN_LOG_SIZE) scanLog.lastChild.remove();
+    setScanStatus(`${scanCheckedIn} of ${excelData.length} checked in.`);
+}
+
+document.getElementById('scan-btn').addEventListener('click', openScanner);
+document.getElementById('lookup-scan-btn').addEventListener('click', openScanner);
+document.getElementById('scan-close').addEventListener('click', closeScanner);
+scanView.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') closeScanner();
+});
+
+scanImageInput.addEventListener('change', async function() {
+    const file = scanImageInput.files[0];
+    scanImageInput.value = '';
+    if (!file) return;
+    setScanStatus('Reading the image…');
+    try {
+        const image = await loadImage(file);
+        const result = await decodePixels(readPixels(image, image.naturalWidth, image.naturalHeight));
+        if (result) {
+            handleScan(result.text);
         } else {
-            showSpinner(false);
-            if (lastMatches.length > end) {
-                loadMoreBtn = document.createElement('button');
-                loadMoreBtn.id = 'load-more-btn';
-                loadMoreBtn.textContent = 'Load More';
-                loadMoreBtn.onclick = function() {
-                    currentPage++;
-                    renderCardsPage();
-                };
-                cardsSection.parentNode.insertBefore(loadMoreBtn, cardsSection.nextSibling);
-            }
+            setScanStatus('No barcode or QR code was found in the image.');
         }
+    } catch (err) {
+        setScanStatus(err.message);
     }
-    renderChunk();
-}
+});
 
 // --- Search Functionality ---
 let availableFields = [];
@@ -316,27 +4442,16 @@ function updateSearchFields(fields) {
     } else {
         searchField.value = 'all';
     }
+    
+    // The sort and group-by dropdowns offer the same fields
+    renderSortControls();
 }
 
-// Enhanced search function with field selection
-function searchData(data, searchTerm, searchField = 'all') {
-    if (!searchTerm.trim()) return data;
-    
-    const searchTermLower = searchTerm.toLowerCase();
-    
-    return data.filter(item => {
-        if (searchField === 'all') {
-            // Search in all selected fields
-            return selectedFields.some(field => {
-                const value = String(item[field] || '').toLowerCase();
-                return value.includes(searchTermLower);
-            });
-        } else {
-            // Search in specific field
-            const value = String(item[searchField] || '').toLowerCase();
-            return value.includes(searchTermLower);
-        }
-    });
+// UI: Show (or clear) the inline query error under the search box
+function showSearchError(message) {
+    searchError.textContent = message;
+    searchError.style.display = message ? 'block' : 'none';
+    searchInput.classList.toggle('invalid', !!message);
 }
 
 // Update the search event listener
@@ -345,22 +4460,7 @@ searchInput.addEventListener('input', function(e) {
     if (searchDebounceTimer) clearTimeout(searchDebounceTimer);
     
     searchDebounceTimer = setTimeout(() => {
-        const searchTerm = e.target.value.trim();
-        const selectedField = searchFieldSelect.value;
-        
-        if (searchTerm) {
-            const filteredData = searchData(excelData, searchTerm, selectedField);
-            lastMatches = filteredData;
-            lastFields = selectedFields;
-            renderCards(filteredData, selectedFields, searchTerm);
-        } else {
-            lastMatches = excelData;
-            lastFields = selectedFields;
-            renderCards(excelData, selectedFields);
-        }
-        
-        // Show/hide no matches message
-        noMatches.style.display = searchTerm && lastMatches.length === 0 ? 'block' : 'none';
+        renderCards(excelData, selectedFields, e.target.value.trim());
     }, 200); // Slightly reduced debounce time for better responsiveness
 });
 
@@ -368,10 +4468,7 @@ searchInput.addEventListener('input', function(e) {
 searchFieldSelect.addEventListener('change', function() {
     const searchTerm = searchInput.value.trim();
     if (searchTerm) {
-        const filteredData = searchData(excelData, searchTerm, this.value);
-        lastMatches = filteredData;
-        renderCards(filteredData, selectedFields, searchTerm);
-        noMatches.style.display = filteredData.length === 0 ? 'block' : 'none';
+        renderCards(excelData, selectedFields, searchTerm);
     }
 });
 
@@ -385,44 +4482,67 @@ searchFieldSelect.addEventListener('change', function() {
 fileInput.addEventListener('change', function(e) {
     fileError.textContent = '';
     const file = e.target.files[0];
-    if (!file || !file.name.endsWith('.xlsx')) {
-        fileError.textContent = 'Please upload a valid .xlsx file.';
+    const format = file ? detectFileFormat(file.name) : null;
+    if (!format) {
+        fileError.textContent = 'Please upload a .xlsx, .xls, .ods, .csv, .tsv or .json file.';
         return;
     }
-    parseExcel(file, (err, data) => {
+    parseFile(file, (err, workbook) => {
         if (err) {
-            fileError.textContent = 'Failed to parse Excel file.';
+            fileError.textContent = format === 'json'
+                ? `Failed to parse JSON file: ${err.message}`
+                : 'Failed to parse file.';
             return;
         }
-        if (!data.length) {
-            fileError.textContent = 'Excel file is empty or invalid.';
+        const firstSheet = workbook.sheetNames.find(name => workbook.sheets[name].length);
+        if (!firstSheet) {
+            fileError.textContent = 'File is empty or invalid.';
             return;
         }
-        excelData = data;
-        const columns = Object.keys(data[0]);
-        showColumnSelection(columns);
+        workbookSheets = workbook.sheets;
+        workbookColumns = workbook.columns;
+        workbookDateColumns = workbook.dateColumns;
+        sheetNames = workbook.sheetNames;
+        fieldsBySheet = {};
+        filtersBySheet = {};
+        sortBySheet = {};
+        displayBySheet = {};
+        templatesBySheet = {};
+        statusKeysBySheet = {};
+        computedBySheet = {};
+        // Rules for columns the new file also has keep checking it
+        validationRules = pickRulesFor(getRuleColumns());
+        runValidation();
+        searchIndexes = {};
+        currentDataset = null;
+        pendingDatasetName = file.name.replace(/\.[^.]+$/, '');
+        populateSheetPicker();
+        selectSheet(firstSheet, true);
     });
 });
 
 // Handle column selection save
 saveColumnsBtn.addEventListener('click', async function() {
-    selectedFields = [];
-    const checkboxes = columnForm.querySelectorAll('input[type="checkbox"]:checked');
-    checkboxes.forEach(checkbox => {
-        selectedFields.push(checkbox.value);
-    });
-    
-    if (selectedFields.length === 0) {
+    const layout = readTemplateForm();
+    if (layout.fields.length === 0) {
         alert('Please select at least one field to display.');
         return;
     }
+    selectedFields = layout.fields;
+    
+    // Remember the card template and how each field is displayed
+    Object.keys(displayTypes).forEach(field => delete displayTypes[field]);
+    Object.assign(displayTypes, layout.display);
+    cardTemplate = layout.template;
+    templatesBySheet[activeSheet] = cardTemplate;
     
     // Update search fields with the selected columns
     updateSearchFields(selectedFields);
     
-    // Save the selection to localStorage
+    // Remember the selection for this sheet and save the workbook
+    fieldsBySheet[activeSheet] = selectedFields.slice();
     if (excelData.length > 0) {
-        await saveToStorage(excelData, selectedFields);
+        await saveToStorage();
         
         // Re-render cards with the new selection
         renderCards(excelData, selectedFields);
@@ -459,13 +4579,471 @@ if (darkModeToggle) {
     });
 }
 
+// --- Passphrase Lock ---
+// While a passphrase is set the app starts locked. Locking (by hand or after
+// a period without input) forgets the key and every loaded row.
+const AUTO_LOCK_CHECK_MS = 30000;
+const securityToggle = document.getElementById('security-toggle');
+const lockScreen = document.getElementById('lock-screen');
+const unlockForm = document.getElementById('unlock-form');
+const unlockPassphrase = document.getElementById('unlock-passphrase');
+const unlockError = document.getElementById('unlock-error');
+const securityView = document.getElementById('security-view');
+const securityState = document.getElementById('security-state');
+const passphraseForm = document.getElementById('passphrase-form');
+const passphraseError = document.getElementById('passphrase-error');
+const autoLockSelect = document.getElementById('auto-lock');
+let lastActivity = Date.now();
+let autoLockTimer = null;
+
+function updateSecurityToggle() {
+    securityToggle.textContent = isEncryptionEnabled() ? '🔒' : '🔓';
+}
+
+function showLockScreen() {
+    unlockPassphrase.value = '';
+    unlockError.textContent = '';
+    lockScreen.style.display = 'flex';
+    unlockPassphrase.focus();
+}
+
+// UI: Drop the loaded workbook and everything derived from it
+function clearLoadedData() {
+    if (activeSearchId !== null) cancelWorkerRequest(activeSearchId);
+    activeSearchId = null;
+    showSpinner(false);
+    detailView.style.display = 'none';
+    detailRow = null;
+    stopCamera();
+    scanView.style.display = 'none';
+    scanLog.innerHTML = '';
+    checkInsChanged = false;
+    closeDiffView();
+    securityView.style.display = 'none';
+    resetView();
+    syncSearchData([]);
+    statusMarks.clear();
+    statusBase = [];
+    lastMatches = [];
+    lastMatchIndices = [];
+    lastItems = [];
+    cancelSummaries();
+    lookupInput.value = '';
+    lookupResult.innerHTML = '';
+    lookupIssueList.innerHTML = '';
+    statsList.innerHTML = '';
+    lastPivot = null;
+    pivotChart.innerHTML = '';
+    pivotTable.innerHTML = '';
+    printView.innerHTML = '';
+    datasetList.innerHTML = '';
+    librarySection.style.display = 'none';
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
+function lockApp() {
+    if (!vaultKeys) return;
+    vaultKeys = null;
+    stopAutoLockTimer();
+    clearLoadedData();
+    showLockScreen();
+}
+
+// Utility: Lock once the chosen time has passed without any input. Checked
+// on a timer and when the tab becomes visible, as timers are throttled in
+// background tabs.
+function checkAutoLock() {
+    const settings = getLockSettings();
+    if (!vaultKeys || !settings || !settings.autoLockMinutes) return;
+    if (Date.now() - lastActivity >= settings.autoLockMinutes * 60 * 1000) lockApp();
+}
+
+function startAutoLockTimer() {
+    stopAutoLockTimer();
+    const settings = getLockSettings();
+    if (!vaultKeys || !settings || !settings.autoLockMinutes) return;
+    lastActivity = Date.now();
+    autoLockTimer = setInterval(checkAutoLock, AUTO_LOCK_CHECK_MS);
+}
+
+function stopAutoLockTimer() {
+    clearInterval(autoLockTimer);
+    autoLockTimer = null;
+}
+
+['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+    document.addEventListener(type, () => { lastActivity = Date.now(); }, { capture: true, passive: true });
+});
+document.addEventListener('visibilitychange', checkAutoLock);
+
+unlockForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const submitBtn = unlockForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    unlockError.textContent = '';
+    try {
+        if (!(await unlockVault(unlockPassphrase.value))) {
+            unlockError.textContent = 'Wrong passphrase.';
+            unlockPassphrase.select();
+            return;
+        }
+    } catch (err) {
+        unlockError.textContent = `The data could not be unlocked: ${err.message}`;
+        return;
+    } finally {
+        submitBtn.disabled = false;
+    }
+    lockScreen.style.display = 'none';
+    unlockPassphrase.value = '';
+    startAutoLockTimer();
+    loadSavedData();
+});
+
+document.getElementById('forgot-passphrase').addEventListener('click', async function() {
+    if (!confirm('Erase all saved datasets, settings and status marks from this device? This cannot be undone.')) return;
+    try {
+        await clearExcelDB();
+    } catch (err) {
+        alert(`The saved data could not be erased: ${err.message}`);
+        return;
+    }
+    localStorage.removeItem(LOCK_KEY);
+    localStorage.removeItem(ACTIVE_DATASET_KEY);
+    localStorage.removeItem(EXPIRY_KEY);
+    lockScreen.style.display = 'none';
+    updateSecurityToggle();
+    loadSavedData();
+});
+
+// UI: Passphrase settings for the current state
+function renderSecurityView() {
+    const settings = getLockSettings();
+    securityState.textContent = settings
+        ? 'Saved datasets, their settings and status marks are encrypted with your passphrase.'
+        : 'Saved data is stored unencrypted on this device. Set a passphrase to encrypt it.';
+    document.getElementById('passphrase-submit').textContent = settings ? 'Change Passphrase' : 'Set Passphrase';
+    passphraseError.textContent = '';
+    autoLockSelect.value = String(settings ? settings.autoLockMinutes : 0);
+    autoLockSelect.disabled = !settings;
+    document.getElementById('lock-now').disabled = !settings;
+    document.getElementById('remove-passphrase').disabled = !settings;
+}
+
+function openSecurityView() {
+    if (!window.crypto || !crypto.subtle) {
+        alert('Encryption is only available when the app is opened over a secure (https) connection.');
+        return;
+    }
+    passphraseForm.reset();
+    renderSecurityView();
+    securityView.style.display = 'flex';
+    document.getElementById('security-close').focus();
+}
+
+function closeSecurityView() {
+    securityView.style.display = 'none';
+    securityToggle.focus();
+}
+
+// Helper: Run a passphrase change with the spinner shown; the error is
+// shown in the settings
+async function changeEncryption(text, work) {
+    showSpinner(true, text);
+    try {
+        await work();
+        return true;
+    } catch (err) {
+        passphraseError.textContent = `The saved data could not be updated: ${err.message}`;
+        return false;
+    } finally {
+        showSpinner(false);
+    }
+}
+
+securityToggle.addEventListener('click', openSecurityView);
+document.getElementById('security-close').addEventListener('click', closeSecurityView);
+securityView.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') closeSecurityView();
+});
+
+passphraseForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const passphrase = document.getElementById('new-passphrase').value;
+    if (passphrase !== document.getElementById('confirm-passphrase').value) {
+        passphraseError.textContent = 'The passphrases do not match.';
+        return;
+    }
+    if (!(await changeEncryption('Encrypting saved data…', () => setPassphrase(passphrase)))) return;
+    passphraseForm.reset();
+    renderSecurityView();
+    updateSecurityToggle();
+    startAutoLockTimer();
+});
+
+autoLockSelect.addEventListener('change', function() {
+    const settings = getLockSettings();
+    if (!settings) return;
+    settings.autoLockMinutes = parseInt(autoLockSelect.value, 10);
+    localStorage.setItem(LOCK_KEY, JSON.stringify(settings));
+    startAutoLockTimer();
+});
+
+document.getElementById('lock-now').addEventListener('click', lockApp);
+
+document.getElementById('remove-passphrase').addEventListener('click', async function() {
+    if (!confirm('Remove the passphrase? Saved data will be stored unencrypted on this device.')) return;
+    if (!(await changeEncryption('Decrypting saved data…', removePassphrase))) return;
+    stopAutoLockTimer();
+    renderSecurityView();
+    updateSecurityToggle();
+});
+
+// --- Storage Settings ---
+// How long each dataset is kept, how much space the app uses and whether
+// the browser may clear it, plus a way to remove everything at once.
+const RETENTION_CHOICES = [
+    ['never', 'Keep until deleted'],
+    ['session', 'Until the browser closes'],
+    [1, '1 day'],
+    [7, '7 days'],
+    [30, '30 days'],
+    [90, '90 days'],
+    [365, '1 year'],
+    ['custom', 'Other number of days…']
+];
+const QUOTA_WARNING_RATIO = 0.8; // report the space as running out above this share
+const storageToggle = document.getElementById('storage-toggle');
+const storageView = document.getElementById('storage-view');
+const storageUsage = document.getElementById('storage-usage');
+const storageMeter = document.getElementById('storage-meter');
+const storagePersistState = document.getElementById('storage-persist-state');
+const persistStorageBtn = document.getElementById('persist-storage');
+const retentionList = document.getElementById('retention-list');
+const expiryWarning = document.getElementById('expiry-warning');
+
+// Helper: Whole days until a dataset is deleted (at least 1)
+function daysUntilExpiry(meta) {
+    return Math.max(1, Math.ceil((meta.expiresAt - Date.now()) / DAY_MS));
+}
+
+function isExpiringSoon(meta) {
+    return typeof meta.expiresAt === 'number' && meta.expiresAt - Date.now() <= EXPIRY_WARNING_DAYS * DAY_MS;
+}
+
+function describeRetention(meta) {
+    if (meta.retention === 'session') return 'Deleted when the browser closes';
+    if (typeof meta.expiresAt !== 'number') return 'Kept until deleted';
+    const days = daysUntilExpiry(meta);
+    return isExpiringSoon(meta)
+        ? `Deleted in ${days} day${days === 1 ? '' : 's'}`
+        : `Kept until ${new Date(meta.expiresAt).toLocaleDateString()}`;
+}
+
+// UI: Warn about the datasets deleted within EXPIRY_WARNING_DAYS
+function renderExpiryWarning(datasets) {
+    const expiring = datasets.filter(isExpiringSoon);
+    expiryWarning.style.display = expiring.length ? '' : 'none';
+    if (!expiring.length) return;
+    const names = expiring.map(meta => `"${meta.name}"`).join(', ');
+    const days = Math.max(...expiring.map(daysUntilExpiry));
+    document.getElementById('expiry-warning-text').textContent =
+        `${names} will be deleted from this device within ${days} day${days === 1 ? '' : 's'}.`;
+}
+
+// Utility: Bytes as a short readable size
+function formatBytes(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+// Utility: Space used and available, and whether the browser keeps the data
+// when space runs low. Fields are null where the browser can't tell.
+async function getStorageStatus() {
+    const storage = navigator.storage;
+    const status = { persisted: null, usage: null, quota: null };
+    if (!storage) return status;
+    try {
+        if (storage.persisted) status.persisted = await storage.persisted();
+        if (storage.estimate) {
+            const estimate = await storage.estimate();
+            status.usage = estimate.usage;
+            status.quota = estimate.quota;
+        }
+    } catch {
+        // Some browsers refuse in private windows; report as unknown
+    }
+    return status;
+}
+
+// Utility: Ask the browser not to clear saved data when space runs low;
+// resolves with whether it agreed
+async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+    return navigator.storage.persist();
+}
+
+// UI: Retention choice for one saved dataset
+function createRetentionItem(meta) {
+    const item = document.createElement('li');
+    item.className = 'retention-item';
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'retention-name';
+    name.textContent = meta.name;
+    const expiry = document.createElement('div');
+    expiry.className = 'retention-expiry';
+    expiry.classList.toggle('warning', isExpiringSoon(meta));
+    expiry.textContent = describeRetention(meta);
+    info.appendChild(name);
+    info.appendChild(expiry);
+
+    const select = document.createElement('select');
+    select.className = 'status-select';
+    select.setAttribute('aria-label', `How long to keep ${meta.name}`);
+    RETENTION_CHOICES.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = String(value);
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    if (typeof meta.retention === 'number' && !RETENTION_CHOICES.some(([value]) => value === meta.retention)) {
+        const option = document.createElement('option');
+        option.value = String(meta.retention);
+        option.textContent = `${meta.retention} days`;
+        select.insertBefore(option, select.lastChild);
+    }
+    select.value = String(meta.retention);
+    select.addEventListener('change', () => changeRetention(meta, select.value));
+
+    item.appendChild(info);
+    item.appendChild(select);
+    return item;
+}
+
+async function changeRetention(meta, value) {
+    let retention = value;
+    if (value === 'custom') {
+        const answer = prompt('Keep this dataset for how many days?', '14');
+        const days = parseInt(answer, 10);
+        if (!answer || !(days > 0)) {
+            renderStorageView();
+            return;
+        }
+        retention = days;
+    } else if (value !== 'never' && value !== 'session') {
+        retention = parseInt(value, 10);
+    }
+    // Update the open dataset's own record so its config isn't overwritten
+    const target = currentDataset && currentDataset.id === meta.id ? currentDataset : meta;
+    const previous = { retention: target.retention, expiresAt: target.expiresAt };
+    setRetention(target, retention);
+    try {
+        await saveDatasetMeta(target);
+    } catch (err) {
+        Object.assign(target, previous);
+        alert(`The retention could not be changed: ${err.message}`);
+    }
+    renderStorageView();
+    renderDatasetLibrary();
+}
+
+// UI: Fill the storage settings from the browser and the saved datasets
+async function renderStorageView() {
+    const status = await getStorageStatus();
+    if (status.usage !== null && status.quota) {
+        storageUsage.textContent = `Using ${formatBytes(status.usage)} of about ${formatBytes(status.quota)} available.`;
+        storageMeter.value = status.usage / status.quota;
+        storageMeter.style.display = '';
+    } else {
+        storageUsage.textContent = 'This browser does not report how much space is used.';
+        storageMeter.style.display = 'none';
+    }
+    if (status.persisted === null) {
+        storagePersistState.textContent = 'This browser may clear saved data when the device runs low on space.';
+    } else {
+        storagePersistState.textContent = status.persisted
+            ? 'Saved data is persistent: the browser will not clear it to free space.'
+            : 'The browser may clear saved data when the device runs low on space.';
+    }
+    persistStorageBtn.style.display = status.persisted === false ? '' : 'none';
+
+    const datasets = await loadDatasetList();
+    retentionList.innerHTML = '';
+    datasets.forEach(meta => retentionList.appendChild(createRetentionItem(meta)));
+    document.getElementById('retention-empty').style.display = datasets.length ? 'none' : '';
+}
+
+function openStorageView() {
+    renderStorageView();
+    storageView.style.display = 'flex';
+    document.getElementById('storage-close').focus();
+}
+
+function closeStorageView() {
+    storageView.style.display = 'none';
+    storageToggle.focus();
+}
+
+// Utility: Remove every trace of the app's data from this device, then
+// start over from a fresh page
+async function wipeEverything() {
+    const db = await openDB();
+    await new Promise((resolve, reject) => {
+        const names = [DB_STORE, META_STORE, INDEX_STORE, STATUS_STORE];
+        const tx = db.transaction(names, 'readwrite');
+        names.forEach(name => tx.objectStore(name).clear());
+        tx.oncomplete = resolve;
+        tx.onerror = e => reject(e.target.error);
+    });
+    localStorage.clear();
+    sessionStorage.clear();
+    document.cookie = `${SESSION_COOKIE}=; max-age=0; SameSite=Strict`;
+    if (window.caches) {
+        const keys = await caches.keys();
+        await Promise.all(keys.map(key => caches.delete(key)));
+    }
+    location.reload();
+}
+
+storageToggle.addEventListener('click', openStorageView);
+document.getElementById('storage-close').addEventListener('click', closeStorageView);
+storageView.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') closeStorageView();
+});
+document.getElementById('expiry-warning-btn').addEventListener('click', openStorageView);
+
+persistStorageBtn.addEventListener('click', async function() {
+    if (!(await requestPersistentStorage())) {
+        alert('The browser did not allow persistent storage. Installing the app or bookmarking it can help.');
+    }
+    renderStorageView();
+});
+
+document.getElementById('wipe-all').addEventListener('click', async function() {
+    if (!confirm('Delete all datasets, status marks, settings and the offline copy of the app from this device? This cannot be undone.')) return;
+    showSpinner(true, 'Deleting everything…');
+    try {
+        await wipeEverything();
+    } catch (err) {
+        showSpinner(false);
+        alert(`Not everything could be deleted: ${err.message}`);
+    }
+});
+
 // --- Permission Checks ---
 const permissionsModal = document.getElementById('permissions-modal');
 const permissionList = document.getElementById('permission-list');
 const checkAgainBtn = document.getElementById('check-permissions-again');
 const continueAnywayBtn = document.getElementById('continue-anyway');
 
-function getPermissionStatus() {
+// Optional entries report on the app without holding it back
+async function getPermissionStatus() {
     const permissions = [];
     
     // Check File API
@@ -503,10 +5081,39 @@ function getPermissionStatus() {
         granted: !!window.indexedDB,
         action: 'Enable database storage in your browser settings'
     });
+
+    // Check persistent storage and the space left
+    const storage = await getStorageStatus();
+    permissions.push({
+        id: 'persistent-storage',
+        title: 'Persistent Storage',
+        description: storage.persisted
+            ? 'Saved datasets are kept when the device runs low on space'
+            : 'Without it the browser may clear saved datasets when the device runs low on space',
+        granted: Boolean(storage.persisted),
+        optional: true,
+        action: 'Allow the site to keep its data, or install the app'
+    });
+    const hasQuota = storage.usage !== null && Boolean(storage.quota);
+    permissions.push({
+        id: 'storage-quota',
+        title: 'Storage Space',
+        description: hasQuota
+            ? `${formatBytes(storage.usage)} of about ${formatBytes(storage.quota)} used`
+            : 'This browser does not report how much space is used',
+        granted: !hasQuota || storage.usage < storage.quota * QUOTA_WARNING_RATIO,
+        optional: true,
+        action: 'Delete saved datasets you no longer need'
+    });
     
     return permissions;
 }
 
+// Helper: Whether anything the app needs is missing
+function hasRequiredIssues(permissions) {
+    return permissions.some(p => !p.granted && !p.optional);
+}
+
 function renderPermissionModal(permissions) {
     permissionList.innerHTML = '';
     
@@ -514,17 +5121,25 @@ function renderPermissionModal(permissions) {
         const item = document.createElement('div');
         item.className = `permission-item ${perm.granted ? 'granted' : ''}`;
         
-        item.innerHTML = `
-            <div class="permission-info">
-                <div class="permission-title">${perm.title}</div>
-                <div class="permission-desc">${perm.description}</div>
-            </div>
-            <button class="permission-btn" ${perm.granted ? 'disabled' : ''} 
-                    onclick="handlePermissionAction('${perm.id}', '${perm.action}')">
-                ${perm.granted ? 'Enabled' : 'Enable'}
-            </button>
-        `;
+        const info = document.createElement('div');
+        info.className = 'permission-info';
+        const title = document.createElement('div');
+        title.className = 'permission-title';
+        title.textContent = perm.title;
+        const desc = document.createElement('div');
+        desc.className = 'permission-desc';
+        desc.textContent = perm.description;
+        info.appendChild(title);
+        info.appendChild(desc);
         
+        const button = document.createElement('button');
+        button.className = 'permission-btn';
+        button.disabled = perm.granted;
+        button.textContent = perm.granted ? 'Enabled' : (perm.id === 'storage-quota' ? 'Manage' : 'Enable');
+        button.addEventListener('click', () => handlePermissionAction(perm.id, perm.action));
+        
+        item.appendChild(info);
+        item.appendChild(button);
         permissionList.appendChild(item);
     });
 }
@@ -537,6 +5152,15 @@ function handlePermissionAction(permId, action) {
         case 'indexeddb':
             openStorageSettings();
             break;
+        case 'persistent-storage':
+            requestPersistentStorage().then(async granted => {
+                if (!granted) alert(`The browser did not allow persistent storage.\n\n${action}`);
+                renderPermissionModal(await getPermissionStatus());
+            });
+            break;
+        case 'storage-quota':
+            openStorageView();
+            break;
         case 'file-api':
             alert(`File API support depends on your browser version.\n\n${action}\n\nAfter updating, click "Check Again" to verify.`);
             break;
@@ -582,11 +5206,10 @@ function openStorageSettings() {
     }
 }
 
-function checkRequiredPermissions() {
-    const permissions = getPermissionStatus();
-    const hasIssues = permissions.some(p => !p.granted);
+async function checkRequiredPermissions() {
+    const permissions = await getPermissionStatus();
     
-    if (hasIssues) {
+    if (hasRequiredIssues(permissions)) {
         renderPermissionModal(permissions);
         permissionsModal.style.display = 'flex';
         return false;
@@ -601,11 +5224,10 @@ function hidePermissionsModal() {
 
 // Permission modal event listeners
 if (checkAgainBtn) {
-    checkAgainBtn.addEventListener('click', () => {
-        const permissions = getPermissionStatus();
-        const hasIssues = permissions.some(p => !p.granted);
+    checkAgainBtn.addEventListener('click', async () => {
+        const permissions = await getPermissionStatus();
         
-        if (!hasIssues) {
+        if (!hasRequiredIssues(permissions)) {
             hidePermissionsModal();
             initializeApp();
         } else {
@@ -621,36 +5243,39 @@ if (continueAnywayBtn) {
     });
 }
 
+// With a passphrase set nothing is read until the app has been unlocked
 function initializeApp() {
     restoreDarkMode();
-    loadFromStorage().then(stored => {
-        if (stored && stored.data && stored.fields) {
-            excelData = stored.data;
-            selectedFields = stored.fields;
-            columnSection.style.display = 'none';
-            searchSection.style.display = '';
-            // Update the search dropdown with the saved fields
-            updateSearchFields(selectedFields);
-            renderCards(excelData, selectedFields);
+    updateSecurityToggle();
+    startSearchWorker();
+    if (isEncryptionEnabled() && !vaultKeys) {
+        showLockScreen();
+        return;
+    }
+    loadSavedData();
+}
+
+// Utility: Open the active dataset and the status marks saved on this device
+async function loadSavedData() {
+    try {
+        const [stored, marks] = await Promise.all([loadFromStorage(), loadStatusMarks()]);
+        marks.forEach(mark => statusMarks.set(mark.id, mark));
+        if (stored && stored.data.sheetNames.length) {
+            applyDataset(stored.meta, stored.data, stored.indexes);
         }
-    });
+        renderDatasetLibrary();
+        openDeepLink();
+    } catch (err) {
+        alert(`The saved data could not be loaded: ${err.message}`);
+    }
 }
 
 // On load: check permissions, then initialize app
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
     // Check required permissions first
-    if (checkRequiredPermissions()) {
+    if (await checkRequiredPermissions()) {
         // All permissions granted, initialize app immediately
         initializeApp();
     }
     // If permissions are missing, modal will be shown and user can check again
 });
-
-/* Commenting out service worker registration
-// Optional: Register service worker for offline usability (if supported)
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('sw.js').catch(() => {});
-    });
-}
-*/
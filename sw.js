@@ -1,21 +1,35 @@
 // Service worker for offline functionality
-const CACHE_NAME = 'excel-card-app-v2'; // Changed version number to force update
+// Paths are relative to this file, so the app also works from a sub-path.
+const CACHE_NAME = 'excel-card-app-v4'; // Bump to ship a new version (the page offers a refresh)
 const FILES_TO_CACHE = [
-  '/',
-  '/index.html',
-  '/style.css',
-  '/script.js',
-  'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js'
+  './',
+  'index.html',
+  'style.css',
+  'core.js',
+  'script.js',
+  'worker.js',
+  'manifest.webmanifest',
+  'vendor/xlsx/xlsx.full.min.js',
+  'vendor/zxing/zxing.min.js',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'icons/apple-touch-icon.png'
 ];
 
+// A new version waits until the page asks it to take over (SKIP_WAITING)
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then(cache => {
-      return cache.addAll(FILES_TO_CACHE);
-    }).then(() => self.skipWaiting()) // Force the waiting service worker to become active
+    caches.open(CACHE_NAME).then(cache => cache.addAll(FILES_TO_CACHE))
   );
 });
 
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
 self.addEventListener('activate', event => {
   event.waitUntil(
     caches.keys().then(keys =>
@@ -30,10 +44,30 @@ self.addEventListener('activate', event => {
   );
 });
 
+// Stale-while-revalidate: answer from the cache right away and refresh the
+// cached copy in the background; go to the network only for files not
+// cached yet. Offline navigations fall back to the cached app shell.
 self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  const isNavigation = request.mode === 'navigate';
+
   event.respondWith(
-    caches.match(event.request).then(response =>
-      response || fetch(event.request)
+    caches.open(CACHE_NAME).then(cache =>
+      cache.match(request, { ignoreSearch: isNavigation }).then(cached => {
+        const network = fetch(request).then(response => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        });
+        if (cached) {
+          event.waitUntil(network.catch(() => {}));
+          return cached;
+        }
+        return network.catch(() => {
+          if (isNavigation) return cache.match('index.html');
+          return Response.error();
+        });
+      })
     )
   );
 });
@@ -0,0 +1,85 @@
+// Simple Excel Card App: test/decode-barcodes.test.js
+// Headless check of the barcode decoder: decodes the images in
+// test/fixtures/barcodes with decodeBarcodePixels (core.js) and the bundled
+// ZXing build, the way the worker does.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { loadScripts } = require('./load-scripts');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'barcodes');
+const EXPECTED = {
+    'qr-reg-2024-0042.png': { text: 'REG-2024-0042', format: 'QR_CODE' },
+    'code128-reg-2024-0042.png': { text: 'REG-2024-0042', format: 'CODE_128' },
+    'ean13-4006381333931.png': { text: '4006381333931', format: 'EAN_13' },
+    'no-code.png': null
+};
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }; // PNG color type -> samples per pixel
+
+// Helper: Paeth predictor of the PNG filters
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Utility: Read an 8-bit, non-interlaced PNG into RGBA pixels
+// ({ data, width, height }, like ImageData)
+function readPng(file) {
+    const buffer = fs.readFileSync(file);
+    let width = 0;
+    let height = 0;
+    let channels = 0;
+    const parts = [];
+    for (let pos = 8; pos < buffer.length;) {
+        const length = buffer.readUInt32BE(pos);
+        const type = buffer.toString('ascii', pos + 4, pos + 8);
+        const body = buffer.subarray(pos + 8, pos + 8 + length);
+        if (type === 'IHDR') {
+            width = body.readUInt32BE(0);
+            height = body.readUInt32BE(4);
+            channels = CHANNELS[body[9]];
+            if (body[8] !== 8 || !channels || body[12] !== 0) throw new Error(`${file}: unsupported PNG`);
+        } else if (type === 'IDAT') {
+            parts.push(body);
+        }
+        pos += length + 12;
+    }
+    const raw = zlib.inflateSync(Buffer.concat(parts));
+    const stride = width * channels;
+    const pixels = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        for (let x = 0; x < stride; x++) {
+            const a = x >= channels ? pixels[y * stride + x - channels] : 0;
+            const b = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+            const c = x >= channels && y > 0 ? pixels[(y - 1) * stride + x - channels] : 0;
+            const predictor = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+            pixels[y * stride + x] = raw[y * (stride + 1) + 1 + x] + predictor;
+        }
+    }
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const sample = pixels.subarray(i * channels, (i + 1) * channels);
+        const gray = channels < 3;
+        data[i * 4] = sample[0];
+        data[i * 4 + 1] = gray ? sample[0] : sample[1];
+        data[i * 4 + 2] = gray ? sample[0] : sample[2];
+        data[i * 4 + 3] = channels === 2 || channels === 4 ? sample[channels - 1] : 255;
+    }
+    return { data, width, height };
+}
+
+const context = loadScripts('vendor/zxing/zxing.min.js', 'core.js');
+
+Object.keys(EXPECTED).forEach(name => {
+    test(`decodes ${name}`, () => {
+        const result = context.decodeBarcodePixels(readPng(path.join(FIXTURES, name)));
+        assert.deepStrictEqual(result && { ...result }, EXPECTED[name]);
+    });
+});
@@ -0,0 +1,77 @@
+// Simple Excel Card App: test/diff.test.js
+// Checks of comparing a sheet with an updated version (diffSheetRows) and
+// merging the update into it (mergeSheetRows) in core.js.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('core.js');
+const COLUMNS = ['ID', 'Name', 'City'];
+
+// Helper: A stored sheet and an update of it: B2 moves, C3 is removed, D4
+// is new and A1 stays the same
+function versions() {
+    const oldRows = [
+        { ID: 'A1', Name: 'Ann', City: 'Oslo' },
+        { ID: 'B2', Name: 'Bob', City: 'Rome' },
+        { ID: 'C3', Name: 'Cy', City: 'Lima' }
+    ];
+    const newRows = [
+        { ID: 'A1', Name: 'Ann', City: 'Oslo' },
+        { ID: 'B2', Name: 'Bob', City: 'Paris' },
+        { ID: 'D4', Name: 'Di', City: 'Kyiv' }
+    ];
+    return { oldRows, newRows, diff: core.diffSheetRows(oldRows, newRows, 'ID', COLUMNS) };
+}
+
+// Helper: Sheet rows as "ID Name City" texts
+function describe(rows) {
+    return Array.from(rows, row => COLUMNS.map(field => row[field]).join(' '));
+}
+
+test('rows are paired by key and compared cell by cell', () => {
+    const { diff } = versions();
+    assert.deepStrictEqual(describe(diff.added), ['D4 Di Kyiv']);
+    assert.deepStrictEqual(describe(diff.removed), ['C3 Cy Lima']);
+    assert.strictEqual(diff.changed.length, 1);
+    assert.deepStrictEqual(Array.from(diff.changed[0].fields), ['City']);
+    assert.strictEqual(diff.unchanged, 1);
+    assert.strictEqual(diff.duplicateKeys, 0);
+});
+
+test('rows with a repeated key pair up in order', () => {
+    const oldRows = [{ ID: 'X', Name: 'one' }, { ID: 'X', Name: 'two' }];
+    const newRows = [{ ID: 'X', Name: 'one' }, { ID: 'X', Name: '2' }, { ID: 'X', Name: 'three' }];
+    const diff = core.diffSheetRows(oldRows, newRows, 'ID', ['ID', 'Name']);
+    assert.strictEqual(diff.unchanged, 1);
+    assert.strictEqual(diff.changed[0].newRow.Name, '2');
+    assert.strictEqual(diff.added[0].Name, 'three');
+    assert.strictEqual(diff.duplicateKeys, 1);
+});
+
+test('numbers and text with the same digits are unchanged', () => {
+    const diff = core.diffSheetRows([{ ID: 1, Qty: 5 }], [{ ID: '1', Qty: '5' }], 'ID', ['ID', 'Qty']);
+    assert.strictEqual(diff.unchanged, 1);
+});
+
+test('merge takes every change and keeps removed rows', () => {
+    const { oldRows, diff } = versions();
+    const edits = new Map([[oldRows[1], new Set(['City'])]]);
+    const merged = core.mergeSheetRows(oldRows, diff, 'merge', edits);
+    assert.deepStrictEqual(describe(merged), ['A1 Ann Oslo', 'B2 Bob Paris', 'C3 Cy Lima', 'D4 Di Kyiv']);
+    assert.strictEqual(merged[1], oldRows[1]);
+    assert.strictEqual(edits.get(oldRows[1]).size, 0);
+});
+
+test('keep leaves cells and rows edited here alone', () => {
+    const { oldRows, diff } = versions();
+    const edits = new Map([[oldRows[1], new Set(['City'])], [oldRows[2], true]]);
+    const merged = core.mergeSheetRows(oldRows, diff, 'keep', edits);
+    assert.deepStrictEqual(describe(merged), ['A1 Ann Oslo', 'B2 Bob Rome', 'C3 Cy Lima', 'D4 Di Kyiv']);
+});
+
+test('keep drops removed rows that were not edited', () => {
+    const { oldRows, diff } = versions();
+    const merged = core.mergeSheetRows(oldRows, diff, 'keep', new Map());
+    assert.deepStrictEqual(describe(merged), ['A1 Ann Oslo', 'B2 Bob Paris', 'D4 Di Kyiv']);
+});
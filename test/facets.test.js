@@ -0,0 +1,60 @@
+// Simple Excel Card App: test/facets.test.js
+// Checks of the facet definitions and range filters in core.js, including
+// date columns read from workbooks as Excel serials.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('core.js');
+
+// Helper: Copy a value out of the script scope so deepStrictEqual compares
+// plain objects
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Excel serials of 2024-01-01 ... 2024-01-20
+const ROWS = Array.from({ length: 20 }, (_, i) => ({
+    Amount: String((i + 1) * 100),
+    Received: 45292 + i,
+    Text: `2024-02-${String(i + 1).padStart(2, '0')}`
+}));
+
+test('serial columns are number ranges without a date hint', () => {
+    const defs = core.buildFacetDefinitions(ROWS, ['Received']);
+    assert.deepStrictEqual(plain(defs), [{ field: 'Received', kind: 'range', type: 'number' }]);
+});
+
+test('hinted serial columns become date ranges', () => {
+    const defs = core.buildFacetDefinitions(ROWS, ['Amount', 'Received', 'Text'], ['Received']);
+    assert.deepStrictEqual(plain(defs), [
+        { field: 'Amount', kind: 'range', type: 'number' },
+        { field: 'Received', kind: 'range', type: 'date' },
+        { field: 'Text', kind: 'range', type: 'date' }
+    ]);
+});
+
+test('date range filters match serials against date inputs', () => {
+    const defs = core.buildFacetDefinitions(ROWS, ['Received'], ['Received']);
+    const filters = { Received: { type: 'date', min: '2024-01-05', max: '2024-01-07' } };
+    const passing = ROWS.filter(row => core.rowPassesFacets(row, defs, filters)).map(row => row.Received);
+    assert.deepStrictEqual(passing, [45296, 45297, 45298]);
+});
+
+test('number range bounds accept thousands separators', () => {
+    assert.strictEqual(core.rangeBound('number', '1,000'), 1000);
+    assert.strictEqual(core.rangeBound('number', ''), null);
+    assert.strictEqual(core.rangeBound('number', 'abc'), null);
+    const defs = core.buildFacetDefinitions(ROWS, ['Amount']);
+    const filters = { Amount: { type: 'number', min: '1,000', max: '' } };
+    assert.strictEqual(ROWS.filter(row => core.rowPassesFacets(row, defs, filters)).length, 11);
+});
+
+test('the facet key changes with the date hints', () => {
+    const state = core.createSearchState(ROWS, ['Received'], 1);
+    const request = { query: '', searchField: 'all', fields: ['Received'], filters: {}, sort: { keys: [] } };
+    const plainResult = core.runSearchNow(state, request);
+    const hinted = core.runSearchNow(state, { ...request, dateFields: ['Received'] });
+    assert.notStrictEqual(plainResult.facetKey, hinted.facetKey);
+    assert.strictEqual(hinted.facetDefs[0].type, 'date');
+});
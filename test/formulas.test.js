@@ -0,0 +1,49 @@
+// Simple Excel Card App: test/formulas.test.js
+// Checks of the computed field formulas in core.js: evaluation, column
+// references and renaming a column inside formulas.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('core.js');
+const COLUMNS = ['Price', 'Qty', 'First Name', 'Joined'];
+const ROW = { Price: '2.50', Qty: 4, 'First Name': 'Ann', Joined: 45292 };
+
+// Helper: Value of a formula for ROW
+function evaluate(text, row = ROW) {
+    return core.evaluateFormula(core.compileFormula(text, COLUMNS), row);
+}
+
+test('arithmetic follows operator precedence', () => {
+    assert.strictEqual(evaluate('price * qty + 1'), 11);
+    assert.strictEqual(evaluate('(price + 0.5) * -qty'), -12);
+    assert.strictEqual(evaluate('[First Name] & " x" & qty'), 'Ann x4');
+});
+
+test('functions and comparisons', () => {
+    assert.strictEqual(evaluate('IF(qty > 3, "many", "few")'), 'many');
+    assert.strictEqual(evaluate('ROUND(price / 3, 2)'), 0.83);
+    assert.strictEqual(evaluate('YEAR(joined)'), 2024);
+    assert.strictEqual(evaluate('qty <> 4'), false);
+});
+
+test('column references resolve ignoring case', () => {
+    assert.strictEqual(evaluate('[first name]'), 'Ann');
+    assert.strictEqual(evaluate('PRICE'), '2.50');
+    assert.throws(() => evaluate('[Cost] * 2'), { message: 'Unknown column [Cost].' });
+});
+
+test('errors in formulas and values', () => {
+    assert.throws(() => evaluate('price *'), { message: 'The formula ends unexpectedly.' });
+    assert.throws(() => evaluate('NOPE(1)'), { message: 'Unknown function NOPE().' });
+    assert.throws(() => evaluate('ROUND(1, 2, 3)'), { message: 'ROUND() takes 1 to 2 arguments.' });
+    assert.throws(() => evaluate('qty / 0'), { message: 'Division by zero.' });
+});
+
+test('renaming a column rewrites its references only', () => {
+    assert.strictEqual(core.renameFormulaColumn('total * 2 + [Total]', 'Total', 'Sum'), '[Sum] * 2 + [Sum]');
+    assert.strictEqual(core.renameFormulaColumn('IF(total > 1, "total", totals)', 'total', 'Net Total'),
+        'IF([Net Total] > 1, "total", totals)');
+    assert.strictEqual(core.renameFormulaColumn('SUM(1, 2)', 'sum', 'Other'), 'SUM(1, 2)');
+    assert.strictEqual(core.renameFormulaColumn('[ First Name ] & ""', 'First Name', 'Name'), '[Name] & ""');
+});
@@ -0,0 +1,19 @@
+// Simple Excel Card App: test/load-scripts.js
+// Loads classic scripts (core.js, the vendored libraries) into one global
+// scope, the way the page and the worker do, and returns that scope.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadScripts(...files) {
+    const context = vm.createContext({ console });
+    context.self = context;
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,66 @@
+// Simple Excel Card App: test/query.test.js
+// Checks of the search query parser in core.js: field comparisons, plain
+// terms that contain operators and the errors shown for bad queries.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('core.js');
+
+// Helper: Copy a value out of the script scope so deepStrictEqual compares
+// plain objects
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const COLUMNS = ['Name', 'Amount', 'Status', 'Received'];
+const ROWS = [
+    { Name: 'Ann', Amount: '1,200', Status: 'active', Received: '2024-03-01' },
+    { Name: 'Bob', Amount: '300', Status: 'closed', Received: '2024-01-15' },
+    { Name: 'Cy', Amount: '800', Status: 'active', Received: 'open 10:30' }
+];
+
+// Helper: Names of the rows matching a query over all columns
+function search(text) {
+    const query = core.parseQuery(text, COLUMNS);
+    return ROWS.filter(row => !query || core.evaluateQuery(query, row, COLUMNS)).map(row => row.Name);
+}
+
+test('field comparisons resolve column names ignoring case', () => {
+    assert.deepStrictEqual(search('amount>500'), ['Ann', 'Cy']);
+    assert.deepStrictEqual(search('STATUS:act'), ['Ann', 'Cy']);
+    assert.deepStrictEqual(search('status=active AND -name:cy'), ['Ann']);
+    assert.deepStrictEqual(search('received<2024-02-01'), ['Bob']);
+});
+
+test('contains does not need a readable date', () => {
+    assert.deepStrictEqual(search('received:2024-03'), ['Ann']);
+    assert.deepStrictEqual(search('received:2024-13-45'), []);
+});
+
+test('numbers and URLs before an operator are plain terms', () => {
+    assert.deepStrictEqual(plain(core.parseQuery('10:30', COLUMNS)), { type: 'term', value: '10:30' });
+    assert.deepStrictEqual(plain(core.parseQuery('http://x.com', COLUMNS)), { type: 'term', value: 'http://x.com' });
+    assert.deepStrictEqual(search('10:30'), ['Cy']);
+});
+
+test('quotes inside quotes are written twice', () => {
+    assert.deepStrictEqual(plain(core.parseQuery('"12"" pipe"', COLUMNS)), { type: 'term', value: '12" pipe' });
+    const query = core.parseQuery('"Name"="X""Y"', COLUMNS);
+    assert.strictEqual(core.evaluateQuery(query, { Name: 'x"y' }, COLUMNS), true);
+    assert.strictEqual(core.evaluateQuery(query, { Name: 'xy' }, COLUMNS), false);
+    assert.throws(() => core.parseQuery('"a""', COLUMNS), { message: 'Missing closing quote.' });
+});
+
+test('unknown fields are reported', () => {
+    assert.throws(() => core.parseQuery('amont>500', COLUMNS), { message: 'Unknown field "amont".' });
+    assert.throws(() => core.parseQuery('stauts:active', COLUMNS), { message: 'Unknown field "stauts".' });
+});
+
+test('syntax errors are reported', () => {
+    assert.throws(() => core.parseQuery('"open', COLUMNS), { message: 'Missing closing quote.' });
+    assert.throws(() => core.parseQuery('(ann OR bob', COLUMNS), { message: 'Missing closing parenthesis.' });
+    assert.throws(() => core.parseQuery('amount>', COLUMNS), { message: 'Missing value after amount>' });
+    assert.throws(() => core.parseQuery('received>2024-13-45', COLUMNS), { message: 'Can\'t read date "2024-13-45".' });
+    assert.throws(() => core.parseQuery('ann OR', COLUMNS), { message: 'Query ends unexpectedly.' });
+});
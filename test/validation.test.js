@@ -0,0 +1,56 @@
+// Simple Excel Card App: test/validation.test.js
+// Checks of the validation rules in core.js: which cells each rule flags.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('core.js');
+
+// Helper: Rules broken by each row, as "field:rule" lists
+function brokenRules(rows, rules) {
+    return Array.from(core.validateRows(rows, rules),
+        issues => Array.from(issues || [], issue => `${issue.field}:${issue.rule}`));
+}
+
+test('patterns have to match the whole cell', () => {
+    const rows = [{ Code: 'AB1234' }, { Code: 'xAB1234' }, { Code: 'AB12345' }, { Code: '' }];
+    assert.deepStrictEqual(brokenRules(rows, { Code: { pattern: '[A-Z]{2}\\d{4}' } }),
+        [[], ['Code:pattern'], ['Code:pattern'], []]);
+});
+
+test('alternatives in a pattern are anchored together', () => {
+    const rows = [{ Size: 'S' }, { Size: 'XL' }, { Size: 'SMALL' }];
+    assert.deepStrictEqual(brokenRules(rows, { Size: { pattern: 'S|M|L|XL' } }), [[], [], ['Size:pattern']]);
+});
+
+test('patterns are read without the unicode flag', () => {
+    // \- and \_ are errors with the u flag
+    assert.deepStrictEqual(brokenRules([{ Id: 'a-b_c' }, { Id: 'a b' }], { Id: { pattern: '[\\w\\-\\_]+' } }),
+        [[], ['Id:pattern']]);
+    assert.doesNotThrow(() => core.compileRulePattern('\\-'));
+    assert.throws(() => core.compileRulePattern('(unclosed'));
+});
+
+test('required, unique, range and allowed values', () => {
+    const rows = [
+        { Name: 'Ann', Age: '34', Team: 'Red' },
+        { Name: '', Age: '17', Team: 'red' },
+        { Name: 'ann', Age: 'old', Team: 'Blue' }
+    ];
+    const rules = {
+        Name: { required: true, unique: true },
+        Age: { min: '18', max: '99' },
+        Team: { allowed: ['Red', 'Green'] }
+    };
+    assert.deepStrictEqual(brokenRules(rows, rules), [
+        ['Name:unique'],
+        ['Name:required', 'Age:range'],
+        ['Name:unique', 'Age:range', 'Team:allowed']
+    ]);
+});
+
+test('date ranges', () => {
+    const rows = [{ Due: '2024-05-01' }, { Due: '2023-12-31' }, { Due: 45445 }];
+    assert.deepStrictEqual(brokenRules(rows, { Due: { min: '2024-01-01', max: '2024-06-01' } }),
+        [[], ['Due:range'], ['Due:range']]);
+});
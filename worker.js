@@ -0,0 +1,114 @@
+// Simple Excel Card App: worker.js
+// Background worker that parses uploaded files, runs searches, profiles
+// columns, builds pivot tables and decodes scanned barcodes, so large
+// workbooks don't freeze the page. Uses the same data functions as the page (core.js); the page only
+// receives results and progress messages.
+importScripts('vendor/xlsx/xlsx.full.min.js', 'core.js');
+
+const SLICE_BUDGET_MS = 30; // work this long before checking for newer messages
+let searchState = createSearchState([], [], 0);
+let activeSearch = null; // { id, steps } of the search being run
+let pumpScheduled = false;
+
+function reply(message) {
+    self.postMessage(message);
+}
+
+// Utility: Read and parse an uploaded file
+function parseMessage(message) {
+    const progress = text => reply({ type: 'progress', id: message.id, text });
+    try {
+        progress('Reading file…');
+        const reader = new FileReaderSync();
+        const content = message.options.format === 'workbook'
+            ? reader.readAsArrayBuffer(message.file)
+            : reader.readAsText(message.file, message.options.encoding);
+        reply({ type: 'result', id: message.id, result: parseFileContent(content, message.options, progress) });
+    } catch (err) {
+        reply({ type: 'error', id: message.id, message: err.message });
+    }
+}
+
+function schedulePump() {
+    if (pumpScheduled) return;
+    pumpScheduled = true;
+    setTimeout(pumpSearch, 0);
+}
+
+// Utility: Run the active search for a time slice, then yield so a newer
+// search or a cancel message can replace it
+function pumpSearch() {
+    pumpScheduled = false;
+    const search = activeSearch;
+    if (!search) return;
+    const start = Date.now();
+    try {
+        let step = search.steps.next();
+        while (!step.done && Date.now() - start < SLICE_BUDGET_MS) {
+            step = search.steps.next();
+        }
+        if (step.done) {
+            activeSearch = null;
+            reply({ type: 'result', id: search.id, result: step.value });
+            return;
+        }
+        reply({ type: 'progress', id: search.id, text: `Searching… ${Math.round(step.value * 100)}%` });
+    } catch (err) {
+        activeSearch = null;
+        reply({ type: 'error', id: search.id, message: err.message });
+        return;
+    }
+    schedulePump();
+}
+
+self.onmessage = function(e) {
+    const message = e.data;
+    switch (message.type) {
+        case 'parse':
+            parseMessage(message);
+            break;
+        case 'setData':
+            searchState = createSearchState(message.rows, message.columns, message.version);
+            if (message.index) setSearchIndex(searchState, message.index);
+            break;
+        case 'buildIndex':
+            // Built now so the searches that follow use it too
+            reply({
+                type: 'result',
+                id: message.id,
+                result: message.version === searchState.version ? getSearchIndex(searchState) : null
+            });
+            break;
+        case 'profile':
+            reply({
+                type: 'result',
+                id: message.id,
+                result: message.version === searchState.version ? profileSearchRows(searchState, message.request) : null
+            });
+            break;
+        case 'pivot':
+            reply({
+                type: 'result',
+                id: message.id,
+                result: message.version === searchState.version ? pivotSearchRows(searchState, message.request) : null
+            });
+            break;
+        case 'search':
+            // A new search makes any running one stale
+            activeSearch = { id: message.id, steps: runSearch(searchState, message.request) };
+            schedulePump();
+            break;
+        case 'decode':
+            // The decoder is only loaded once something is scanned
+            try {
+                if (typeof ZXing === 'undefined') importScripts('vendor/zxing/zxing.min.js');
+                reply({ type: 'result', id: message.id, result: decodeBarcodePixels(message.image) });
+            } catch (err) {
+                reply({ type: 'error', id: message.id, message: err.message });
+            }
+            break;
+        case 'cancel':
+            if (activeSearch && activeSearch.id === message.id) activeSearch = null;
+            break;
+    }
+};